@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+/**
+ * Chess Study Tool - Native Engine Host
+ *
+ * Chrome native messaging host that runs a locally installed UCI engine
+ * (Stockfish dev builds, Lc0, ...) for the extension's `native` backend.
+ * Chrome starts this process on chrome.runtime.connectNative() and talks
+ * to it over stdin/stdout with length-prefixed JSON.
+ *
+ * Protocol (one port, many requests, matched by `id`):
+ *   in:  { type: 'analyze', id, fen, depth, multiPv, movetime, searchMoves?, engine? }
+ *   in:  { type: 'stop', id }
+ *   in:  { type: 'engines' }
+ *   out: { type: 'info', id, line: { multipv, depth, cp, mate, pv } }
+ *   out: { type: 'done', id, engine, bestmove, lines }
+ *   out: { type: 'error', id, error }
+ *   out: { type: 'engines', engines, default }
+ *
+ * Engines are configured in engines.json next to this file
+ * (see engines.example.json).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+
+require(path.join(__dirname, '..', 'src', 'lib', 'uci.js'));
+const ChessUci = globalThis.ChessUci;
+
+const CONFIG_PATH = path.join(__dirname, 'engines.json');
+
+// Don't flood the extension: at most one info message per slot per interval
+const INFO_INTERVAL_MS = 200;
+
+// ============================================================================
+// NATIVE MESSAGING I/O
+// ============================================================================
+
+function send(message) {
+  const json = Buffer.from(JSON.stringify(message), 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(json.length, 0);
+  process.stdout.write(Buffer.concat([header, json]));
+}
+
+let inputBuffer = Buffer.alloc(0);
+
+process.stdin.on('data', (chunk) => {
+  inputBuffer = Buffer.concat([inputBuffer, chunk]);
+  while (inputBuffer.length >= 4) {
+    const length = inputBuffer.readUInt32LE(0);
+    if (inputBuffer.length < 4 + length) break;
+    const body = inputBuffer.subarray(4, 4 + length).toString('utf8');
+    inputBuffer = inputBuffer.subarray(4 + length);
+
+    let message;
+    try {
+      message = JSON.parse(body);
+    } catch (error) {
+      send({ type: 'error', id: null, error: `Bad message: ${error.message}` });
+      continue;
+    }
+    handleMessage(message);
+  }
+});
+
+// Chrome closed the port - take the engines down with us
+process.stdin.on('end', shutdown);
+
+function shutdown() {
+  for (const engine of engines.values()) engine.process.kill();
+  process.exit(0);
+}
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// engines.json: { "default": "stockfish", "engines": { "stockfish": { "path": "...",
+//   "args": [], "options": { "Threads": 4, "Hash": 256 } } } }
+function loadConfig() {
+  if (!fs.existsSync(CONFIG_PATH)) {
+    throw new Error(`No engines configured - create ${CONFIG_PATH} (see engines.example.json)`);
+  }
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  if (!config.engines || Object.keys(config.engines).length === 0) {
+    throw new Error(`${CONFIG_PATH} has no engines`);
+  }
+  return config;
+}
+
+// ============================================================================
+// ENGINE PROCESSES
+// ============================================================================
+
+// name -> { process, write, ready, lineHandler, failSearch, queue }
+const engines = new Map();
+
+function startEngine(name, spec) {
+  const child = spawn(spec.path, spec.args || [], { stdio: ['pipe', 'pipe', 'ignore'] });
+  const engine = { process: child, ready: null, lineHandler: null, queue: Promise.resolve() };
+
+  const write = (command) => child.stdin.write(`${command}\n`);
+  engine.write = write;
+
+  readline.createInterface({ input: child.stdout }).on('line', (line) => {
+    engine.lineHandler?.(line.trim());
+  });
+
+  engine.ready = new Promise((resolve, reject) => {
+    child.on('error', (error) => {
+      engines.delete(name);
+      reject(new Error(`Could not start ${name} (${spec.path}): ${error.message}`));
+    });
+    child.on('exit', (code) => {
+      engines.delete(name);
+      const error = new Error(`${name} exited with code ${code}`);
+      engine.failSearch?.(error);
+      reject(error);
+    });
+
+    engine.lineHandler = (line) => {
+      if (line === 'uciok') {
+        for (const [option, value] of Object.entries(spec.options || {})) {
+          write(`setoption name ${option} value ${value}`);
+        }
+        write('isready');
+      } else if (line === 'readyok') {
+        engine.lineHandler = null;
+        resolve();
+      }
+    };
+    write('uci');
+  });
+
+  engines.set(name, engine);
+  return engine;
+}
+
+function getEngine(requested) {
+  const config = loadConfig();
+  const name = requested && config.engines[requested] ? requested : (config.default || Object.keys(config.engines)[0]);
+  const spec = config.engines[name];
+  if (!spec) throw new Error(`Unknown engine '${requested || config.default}'`);
+  return { name, engine: engines.get(name) || startEngine(name, spec) };
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+// id -> engine, for 'stop'
+const activeSearches = new Map();
+
+async function runSearch(engine, request) {
+  await engine.ready;
+
+  return new Promise((resolve, reject) => {
+    const lines = new Map();
+    const shouldSend = ChessUci.infoThrottle(INFO_INTERVAL_MS);
+    activeSearches.set(request.id, engine);
+
+    const finish = () => {
+      engine.lineHandler = null;
+      engine.failSearch = null;
+      activeSearches.delete(request.id);
+    };
+    engine.failSearch = (error) => {
+      finish();
+      reject(error);
+    };
+
+    engine.lineHandler = (line) => {
+      const info = ChessUci.parseInfoLine(line);
+      if (info) {
+        lines.set(info.multipv, info);
+        if (shouldSend(info)) send({ type: 'info', id: request.id, line: info });
+        return;
+      }
+      const bestmove = ChessUci.parseBestMove(line);
+      if (bestmove !== undefined) {
+        finish();
+        resolve({ bestmove, lines: ChessUci.sortedLines(lines) });
+      }
+    };
+
+    ChessUci.searchCommands(request).forEach(engine.write);
+  });
+}
+
+function analyze(request) {
+  let target;
+  try {
+    target = getEngine(request.engine);
+  } catch (error) {
+    send({ type: 'error', id: request.id, error: error.message });
+    return;
+  }
+
+  // One search at a time per engine process
+  const { engine } = target;
+  const result = engine.queue.then(() => runSearch(engine, request));
+  engine.queue = result.catch(() => {});
+
+  result
+    .then(({ bestmove, lines }) => send({ type: 'done', id: request.id, engine: target.name, bestmove, lines }))
+    .catch(error => send({ type: 'error', id: request.id, error: error.message }));
+}
+
+// ============================================================================
+// MESSAGE HANDLING
+// ============================================================================
+
+function handleMessage(message) {
+  if (message.type === 'analyze') {
+    if (!message.fen) {
+      send({ type: 'error', id: message.id, error: 'No FEN provided' });
+      return;
+    }
+    analyze(message);
+  } else if (message.type === 'stop') {
+    activeSearches.get(message.id)?.write('stop');
+  } else if (message.type === 'engines') {
+    try {
+      const config = loadConfig();
+      send({ type: 'engines', engines: Object.keys(config.engines), default: config.default || null });
+    } catch (error) {
+      send({ type: 'error', id: null, error: error.message });
+    }
+  } else {
+    send({ type: 'error', id: message.id ?? null, error: `Unknown message type: ${message.type}` });
+  }
+}
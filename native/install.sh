@@ -0,0 +1,28 @@
+#!/bin/sh
+# Register the native engine host with Chrome / Chromium (Linux).
+# Usage: native/install.sh <extension-id>
+# The extension id is shown on chrome://extensions with Developer mode on.
+
+set -e
+
+if [ -z "$1" ]; then
+  echo "Usage: $0 <extension-id>" >&2
+  exit 1
+fi
+
+HOST_NAME="com.chess_study.engine"
+DIR="$(cd "$(dirname "$0")" && pwd)"
+HOST_PATH="$DIR/host.js"
+
+chmod +x "$HOST_PATH"
+
+for TARGET in "$HOME/.config/google-chrome/NativeMessagingHosts" "$HOME/.config/chromium/NativeMessagingHosts"; do
+  mkdir -p "$TARGET"
+  sed -e "s|HOST_PATH|$HOST_PATH|" -e "s|EXTENSION_ID|$1|" \
+    "$DIR/$HOST_NAME.json" > "$TARGET/$HOST_NAME.json"
+  echo "Installed $TARGET/$HOST_NAME.json"
+done
+
+if [ ! -f "$DIR/engines.json" ]; then
+  echo "Next: copy $DIR/engines.example.json to $DIR/engines.json and point it at your engines."
+fi
@@ -10,20 +10,48 @@
  * NO INTERACTION with any chess website
  */
 
+// Shared rules core (registers globalThis.ChessRules)
+import '../lib/chess-rules.js';
+// UCI helpers (registers globalThis.ChessUci)
+import '../lib/uci.js';
+// FEN shape + legality checks (registers globalThis.ChessFen, needs ChessRules)
+import '../lib/fen.js';
+// PGN parser for review mode (registers globalThis.ChessPgn, needs ChessRules)
+import '../lib/pgn.js';
+// Tablebase answers (registers globalThis.ChessTablebase, needs ChessRules)
+import '../lib/tablebase.js';
+
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
 const CONFIG = {
   LICHESS_CLOUD_EVAL_URL: 'https://lichess.org/api/cloud-eval',
+  LICHESS_EXPLORER_URL: 'https://explorer.lichess.ovh', // Settings can point this elsewhere
+  LICHESS_TABLEBASE_URL: 'https://tablebase.lichess.ovh/standard',
   CHESS_API_URL: 'https://chess-api.com/v1', // Fallback
   CLAUDE_API_URL: 'https://api.anthropic.com/v1/messages',
   OPENROUTER_API_URL: 'https://openrouter.ai/api/v1/chat/completions',
   BIGMODEL_API_URL: 'https://open.bigmodel.cn/api/paas/v4/chat/completions',
   CLAUDE_MODEL: 'claude-opus-4-5-20251101',
-  MAX_DEBUG_LOGS: 50 // Keep last 50 log entries
+  MAX_DEBUG_LOGS: 50, // Keep last 50 log entries
+  OFFSCREEN_DOCUMENT: 'src/offscreen/offscreen.html',
+  NATIVE_HOST: 'com.chess_study.engine',
+  ANALYSIS_PORT: 'analysis'
+};
+
+// Engine settings (chrome.storage.sync) and their defaults
+const ENGINE_DEFAULTS = {
+  engineOrder: ['lichess', 'chessapi', 'wasm', 'native'],
+  engineEnabled: { lichess: true, chessapi: true, wasm: false, native: false },
+  engineDepth: 18,          // local engines (wasm, native)
+  engineMultiPv: 3,
+  engineMoveTime: 3000      // ms; 0 = depth only
 };
 
+// Most lines any backend is asked for (local engines; cloud backends cap lower)
+const MAX_MULTI_PV = 10;
+
 // Load API keys from .env file on startup (read-only, seeds chrome.storage)
 async function loadEnvFile() {
   try {
@@ -242,6 +270,12 @@ chrome.action.onClicked.addListener(async (tab) => {
 // ============================================================================
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Streamed engine output from the offscreen document - too chatty to log
+  if (message.type === 'ENGINE_INFO') {
+    localSearches.get(message.id)?.(message.line);
+    return false;
+  }
+
   console.log('[Chess Study] Message received:', message.type);
 
   if (message.type === 'CAPTURE_SCREENSHOT') {
@@ -251,7 +285,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   if (message.type === 'ANALYZE_SCREENSHOT') {
     console.log('[Chess Study] Starting analysis...');
-    handleAnalysis(message.imageData, { userColor: message.userColor })
+    handleAnalysis(message.imageData, {
+      userColor: message.userColor,
+      requestId: message.requestId,
+      search: parseSearchRequest(message)
+    })
       .then(result => {
         console.log('[Chess Study] Analysis complete:', result);
         sendResponse(result);
@@ -265,18 +303,61 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   if (message.type === 'ANALYZE_FEN') {
     console.log('[Chess Study] Starting FEN-only analysis...');
-    handleFenAnalysis(message.fen)
+    handleFenAnalysis(message.fen, {
+      requestId: message.requestId,
+      pgn: message.pgn,
+      search: parseSearchRequest(message)
+    })
       .then(result => {
         console.log('[Chess Study] FEN analysis complete:', result);
         sendResponse(result);
       })
       .catch(error => {
+        if (error.cancelled) {
+          sendResponse({ error: error.message, cancelled: true });
+          return;
+        }
         console.error('[Chess Study] FEN analysis failed:', error);
         sendResponse({ error: error.message });
       });
     return true;
   }
 
+  if (message.type === 'REVIEW_GAME') {
+    console.log('[Chess Study] Starting game review...');
+    handleGameReview(message.pgn, {
+      gameIndex: message.gameIndex,
+      requestId: message.requestId,
+      search: parseSearchRequest(message)
+    })
+      .then(sendResponse)
+      .catch(error => {
+        if (error.cancelled) {
+          sendResponse({ error: error.message, cancelled: true });
+          return;
+        }
+        console.error('[Chess Study] Game review failed:', error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'GET_EXPLORER') {
+    checkPositionLookup(message.fen, message.pgn)
+      .then(refusal => refusal || getExplorerMoves(message.fen, message.db))
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'GET_TABLEBASE') {
+    checkPositionLookup(message.fen, message.pgn)
+      .then(refusal => refusal || getLichessTablebase(message.fen))
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
   if (message.type === 'TEST_ANTHROPIC_API') {
     testAnthropicAPI(message.apiKey, message.provider || 'anthropic')
       .then(result => sendResponse(result))
@@ -291,6 +372,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === 'GET_REVIEW_MODE') {
+    getReviewMode()
+      .then(mode => sendResponse({ success: true, enabled: mode.enabled, locked: !!mode.lock }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'SET_REVIEW_MODE') {
+    setReviewMode(message)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
   if (message.type === 'GET_DEBUG_LOGS') {
     getDebugLogs()
       .then(logs => sendResponse({ success: true, logs }))
@@ -356,12 +451,103 @@ chrome.commands.onCommand.addListener((command) => {
   }
 });
 
+// ============================================================================
+// ANALYSIS PORT (streaming progress, stop and cancel)
+// ============================================================================
+
+// The panel keeps a port named CONFIG.ANALYSIS_PORT open. Engine progress
+// for the analysis in flight is pushed over it, and the panel sends
+// STOP_ANALYSIS (keep the lines found so far) or CANCEL_ANALYSIS (discard).
+// Only one analysis runs at a time: starting a new one cancels the old one.
+const analysisPorts = new Set();
+
+// Minimum gap between ENGINE_PROGRESS messages for one search
+const PROGRESS_INTERVAL = 250;
+
+let activeAnalysis = null; // { requestId, controller }
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== CONFIG.ANALYSIS_PORT) return;
+  analysisPorts.add(port);
+
+  port.onMessage.addListener((message) => {
+    // requestId guards against a late message stopping a newer analysis
+    if (!activeAnalysis || message.requestId !== activeAnalysis.requestId) return;
+    if (message.type === 'STOP_ANALYSIS') {
+      endAnalysis('stopped');
+    } else if (message.type === 'CANCEL_ANALYSIS') {
+      endAnalysis('cancelled');
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    analysisPorts.delete(port);
+    // Panel closed - nobody is waiting for the result
+    if (analysisPorts.size === 0) endAnalysis('cancelled');
+  });
+});
+
+function beginAnalysis(requestId = null) {
+  endAnalysis('cancelled');
+  activeAnalysis = { requestId, controller: new AbortController() };
+  return activeAnalysis;
+}
+
+// Abort the analysis in flight. 'stopped' makes local engines return what
+// they have; 'cancelled' throws the result away.
+function endAnalysis(reason) {
+  if (!activeAnalysis) return;
+  activeAnalysis.controller.abort(reason);
+  activeAnalysis = null;
+}
+
+function finishAnalysis(analysis) {
+  if (activeAnalysis === analysis) activeAnalysis = null;
+}
+
+function analysisAbortedError(signal) {
+  const error = new Error(signal.reason === 'stopped' ? 'Analysis stopped' : 'Analysis cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+// Collects one search's streamed `info` lines and forwards them to the panel
+// as ENGINE_PROGRESS, throttled; silent once the analysis is aborted
+function createProgressReporter(fen, engine, analysis) {
+  const lines = new Map();
+  let lastSent = 0;
+
+  return (line) => {
+    if (analysis.controller.signal.aborted) return;
+    lines.set(line.multipv, line);
+
+    const now = Date.now();
+    if (now - lastSent < PROGRESS_INTERVAL) return;
+    lastSent = now;
+
+    const message = {
+      type: 'ENGINE_PROGRESS',
+      requestId: analysis.requestId,
+      fen,
+      engine,
+      moves: annotateMoveQuality(fen, uciLinesToMoves(fen, ChessUci.sortedLines(lines)))
+    };
+    for (const port of analysisPorts) port.postMessage(message);
+  };
+}
+
 // ============================================================================
 // SCREENSHOT CAPTURE
 // ============================================================================
 
 async function handleCapture(sendResponse) {
   try {
+    const refusal = await checkReviewMode();
+    if (refusal) {
+      sendResponse({ success: false, ...refusal });
+      return;
+    }
+
     // Get the current active tab in the current window
     const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
@@ -718,8 +904,8 @@ async function tryDomExtraction(userColor) {
 
     // Validate the extracted FEN
     const normalizeOptions = { inferCastlingWhenMissing: true };
-    const normalized = normalizeFEN(pos.fullFen, normalizeOptions);
-    const validation = validateFEN(normalized);
+    const normalized = ChessFen.normalizeFEN(pos.fullFen, normalizeOptions);
+    const validation = ChessFen.validateFEN(normalized, { ignoreTurn: !!userColor });
 
     if (!validation.valid) {
       console.log('[Chess Study] DOM FEN validation failed:', validation.error);
@@ -760,11 +946,201 @@ async function tryDomExtraction(userColor) {
   }
 }
 
+// ============================================================================
+// FAIR-PLAY GUARD (no analysis of live games)
+// ============================================================================
+
+// Sites where games are played. A tab counts as a live game when it is on a
+// game URL (and, if `gamePage` is set, the page has a game board) or any
+// clock is running - unless the page shows the game has ended.
+const LIVE_GAME_SITES = [
+  {
+    id: 'chesscom',
+    label: 'chess.com',
+    host: /(^|\.)chess\.com$/,
+    gameUrl: /^\/(game\/(live\/|daily\/)?\d+|live\b|play\/online)/,
+    runningClock: ['.clock-component.clock-player-turn', '.clock-running'],
+    gameOver: ['.game-over-modal-content', '.game-result-component', '.game-over-header-component', '.game-result']
+  },
+  {
+    id: 'lichess',
+    label: 'lichess.org',
+    host: /(^|\.)lichess\.org$/,
+    // 8-char game id, or 12 for a player's own link
+    gameUrl: /^\/[a-zA-Z0-9]{8}([a-zA-Z0-9]{4})?(\/(white|black))?\/?$/,
+    gamePage: ['main.round'],
+    runningClock: ['.rclock.running'],
+    gameOver: ['.result-wrap']
+  }
+];
+
+// Runs in the page (chrome.scripting) - must be self-contained
+function probeGameState(selectors) {
+  const any = (list) => (list || []).some(selector => document.querySelector(selector));
+  return {
+    gamePage: selectors.gamePage ? any(selectors.gamePage) : true,
+    clockRunning: any(selectors.runningClock),
+    gameOver: any(selectors.gameOver)
+  };
+}
+
+// Refusal result ({ error, fairPlay }) when the active tab shows a game in
+// progress, else null. Fails closed on a game URL whose page can't be read.
+async function checkFairPlay() {
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!activeTab?.url) return null;
+
+  let url;
+  try {
+    url = new URL(activeTab.url);
+  } catch {
+    return null;
+  }
+  const site = LIVE_GAME_SITES.find(s => s.host.test(url.hostname));
+  if (!site) return null;
+
+  const onGameUrl = site.gameUrl.test(url.pathname);
+  let state;
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: activeTab.id },
+      func: probeGameState,
+      args: [{ gamePage: site.gamePage, runningClock: site.runningClock, gameOver: site.gameOver }]
+    });
+    state = results?.[0]?.result;
+  } catch (error) {
+    console.warn('[Chess Study] Fair-play probe failed:', error.message);
+  }
+
+  let reason = null;
+  if (!state) {
+    if (onGameUrl) reason = 'game page could not be checked';
+  } else if (!state.gameOver) {
+    if (state.clockRunning) reason = 'clock running';
+    else if (onGameUrl && state.gamePage) reason = 'game URL';
+  }
+  if (!reason) return null;
+
+  console.warn(`[Chess Study] Refusing analysis: live game on ${site.label} (${reason})`);
+  await debugLog('warn', 'FairPlay', 'Refused analysis during a live game', {
+    site: site.id,
+    url: activeTab.url,
+    reason
+  });
+  return {
+    error: `Analysis is disabled while a game is in progress on ${site.label}. It works again once the game has ended.`,
+    fairPlay: true
+  };
+}
+
+// ============================================================================
+// REVIEW MODE (post-game only)
+// ============================================================================
+
+// Coaches can lock the tool to reviewing finished games: board captures are
+// refused, and ANALYZE_FEN only runs for positions reached in a PGN whose
+// Result tag is decided (anything but '*'). Kept in chrome.storage.local as
+//   reviewMode: { enabled, lock: { salt, hash } | null }
+// where `lock` is a salted SHA-256 of the coach's passphrase. While locked,
+// any change needs that passphrase.
+
+const FINISHED_RESULTS = ['1-0', '0-1', '1/2-1/2'];
+const MIN_PASSPHRASE_LENGTH = 4;
+
+async function getReviewMode() {
+  const { reviewMode } = await chrome.storage.local.get('reviewMode');
+  return { enabled: !!reviewMode?.enabled, lock: reviewMode?.lock || null };
+}
+
+function toHex(bytes) {
+  return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function hashPassphrase(passphrase, salt) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${passphrase}`));
+  return toHex(new Uint8Array(digest));
+}
+
+// { enabled, passphrase } from the panel. Turning review mode on with a
+// passphrase locks it; turning it off clears the lock.
+async function setReviewMode({ enabled, passphrase }) {
+  const current = await getReviewMode();
+  if (current.lock) {
+    if (!passphrase || await hashPassphrase(passphrase, current.lock.salt) !== current.lock.hash) {
+      await debugLog('warn', 'ReviewMode', 'Change refused: wrong passphrase');
+      return { error: 'Review mode is locked. Enter the coach passphrase to change it.' };
+    }
+  }
+
+  let lock = null;
+  if (enabled && passphrase) {
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      return { error: `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters` };
+    }
+    const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    lock = { salt, hash: await hashPassphrase(passphrase, salt) };
+  }
+
+  await chrome.storage.local.set({ reviewMode: { enabled: !!enabled, lock } });
+  await debugLog('info', 'ReviewMode', enabled ? 'Enabled' : 'Disabled', { locked: !!lock });
+  return { success: true, enabled: !!enabled, locked: !!lock };
+}
+
+// Board, side to move and castling rights; move counters and en passant
+// squares are written differently by different tools
+function positionKey(fen) {
+  return fen.trim().split(/\s+/).slice(0, 3).join(' ');
+}
+
+// Did `fen` occur in the game (start position or main line)? Variations
+// are commentary, not moves that were played.
+function gameHasPosition(game, fen) {
+  const key = positionKey(fen);
+  return [game.root, ...ChessPgn.mainLine(game.root)].some(node => positionKey(node.fen) === key);
+}
+
+// Refusal result ({ error, reviewOnly }) when review mode forbids this
+// analysis, else null. Without a `fen` the request is a board capture.
+async function checkReviewMode(fen = null, pgn = null) {
+  const mode = await getReviewMode();
+  if (!mode.enabled) return null;
+
+  let reason = null;
+  if (!fen) {
+    reason = 'Board captures are disabled in review mode. Load the finished game as a PGN instead.';
+  } else if (!pgn) {
+    reason = 'Review mode only analyses positions from finished games. Open the game in the PGN viewer and analyse from there.';
+  } else {
+    const finished = ChessPgn.parsePgn(pgn).filter(game => FINISHED_RESULTS.includes(game.headers.Result));
+    if (finished.length === 0) {
+      reason = 'Review mode only analyses finished games. This PGN has no Result tag, or its Result is *.';
+    } else if (!finished.some(game => gameHasPosition(game, fen))) {
+      reason = 'Review mode only analyses positions that were reached in the game.';
+    }
+  }
+  if (!reason) return null;
+
+  await debugLog('warn', 'ReviewMode', 'Refused analysis', { fen, hasPgn: !!pgn });
+  return { error: reason, reviewOnly: true };
+}
+
+// Both guards, in handleFenAnalysis's order, for lookups that hand out moves
+// for a position without the engine (explorer, tablebase)
+async function checkPositionLookup(fen, pgn = null) {
+  return await checkReviewMode(fen, pgn) || await checkFairPlay();
+}
+
 // ============================================================================
 // ANALYSIS PIPELINE
 // ============================================================================
 
 async function handleAnalysis(imageData, options = {}) {
+  const refusal = await checkReviewMode() || await checkFairPlay();
+  if (refusal) return refusal;
+
+  const analysis = beginAnalysis(options.requestId);
+  const signal = analysis.controller.signal;
+
   try {
     const userColor = options.userColor;
     const normalizeOptions = { inferCastlingWhenMissing: true };
@@ -781,9 +1157,12 @@ async function handleAnalysis(imageData, options = {}) {
 
       let moves;
       try {
-        moves = await getStockfishMoves(domResult.fenForStockfish, 18, 5, normalizeOptions);
+        moves = await getStockfishMoves(domResult.fenForStockfish, options.search, normalizeOptions, analysis);
         console.log('[Chess Study] Stockfish moves:', moves);
       } catch (stockfishError) {
+        if (stockfishError.cancelled) {
+          return { error: stockfishError.message, cancelled: true };
+        }
         console.error('[Chess Study] Stockfish error:', stockfishError);
         return {
           error: `Stockfish analysis failed: ${stockfishError.message}\n\nFEN was: ${domResult.fen}`,
@@ -794,19 +1173,15 @@ async function handleAnalysis(imageData, options = {}) {
         };
       }
 
-      const { targetElo } = await chrome.storage.sync.get({ targetElo: 1500 });
-      const selection = selectHumanMove(moves, targetElo);
-
       return {
         fen: domResult.fen,
         fenNormalized: domResult.fenForStockfish,
         turn: userColor || domResult.turn,
         description: domResult.description,
-        moves: selection.allMoves,
-        selectedMove: selection.selected,
-        engineBest: selection.engineBest,
+        moves,
         analysisNote: domResult.analysisNote,
         source: 'dom',
+        engine: moves[0]?.engine || null,
         openrouterCost: 0
       };
     }
@@ -906,6 +1281,11 @@ async function handleAnalysis(imageData, options = {}) {
       };
     }
 
+    // Superseded or stopped while Vision was still reading the board
+    if (signal.aborted) {
+      return { error: analysisAbortedError(signal).message, cancelled: true };
+    }
+
     // Ensure we analyze for the user's color
     let fenForStockfish = evaluation.fenForStockfish || evaluation.fen;
     let analysisNote = null;
@@ -925,14 +1305,17 @@ async function handleAnalysis(imageData, options = {}) {
     // Step 2: Stockfish - get best move
     console.log('[Chess Study] Step 2: Getting Stockfish analysis...');
 
-    const fenNormalized = normalizeFEN(fenForStockfish, normalizeOptions);
+    const fenNormalized = ChessFen.normalizeFEN(fenForStockfish, normalizeOptions);
     console.log('[Chess Study] FEN to analyze:', fenNormalized);
 
     let moves;
     try {
-      moves = await getStockfishMoves(fenNormalized, 18, 5, normalizeOptions);
+      moves = await getStockfishMoves(fenNormalized, options.search, normalizeOptions, analysis);
       console.log('[Chess Study] Stockfish moves:', moves);
     } catch (stockfishError) {
+      if (stockfishError.cancelled) {
+        return { error: stockfishError.message, cancelled: true };
+      }
       console.error('[Chess Study] Stockfish error:', stockfishError);
       return {
         error: `Stockfish analysis failed: ${stockfishError.message}\n\nFEN was: ${evaluation.fen}`,
@@ -942,55 +1325,58 @@ async function handleAnalysis(imageData, options = {}) {
       };
     }
 
-    // Elo-based move selection
-    const { targetElo } = await chrome.storage.sync.get({ targetElo: 1500 });
-    const selection = selectHumanMove(moves, targetElo);
-
     return {
       fen: evaluation.fen,
       fenNormalized,
       turn: userColor || evaluation.turn,
       description: evaluation.description,
-      moves: selection.allMoves,
-      selectedMove: selection.selected,
-      engineBest: selection.engineBest,
+      moves,
       analysisNote,
       source: 'vision',
+      engine: moves[0]?.engine || null,
       openrouterCost: totalOpenrouterCost
     };
 
   } catch (error) {
     console.error('[Chess Study] Analysis error:', error);
     return { error: error.message };
+  } finally {
+    finishAnalysis(analysis);
   }
 }
 
 // Analyze from user-provided FEN (no Vision)
-async function handleFenAnalysis(fenInput) {
+async function handleFenAnalysis(fenInput, options = {}) {
   if (!fenInput || typeof fenInput !== 'string') {
     throw new Error('No FEN provided');
   }
 
   const normalizeOptions = { inferCastlingWhenMissing: true };
-  const normalizedFen = normalizeFEN(fenInput, normalizeOptions);
-  const validation = validateFEN(normalizedFen);
+  const normalizedFen = ChessFen.normalizeFEN(fenInput, normalizeOptions);
+  const validation = ChessFen.validateFEN(normalizedFen);
   if (!validation.valid) {
     throw new Error(`Invalid FEN: ${validation.error}`);
   }
 
-  const moves = await getStockfishMoves(normalizedFen, 18, 5, normalizeOptions);
+  // A FEN typed in beside a live game is no different from a capture of it
+  const refusal = await checkReviewMode(normalizedFen, options.pgn) || await checkFairPlay();
+  if (refusal) return refusal;
 
-  // Elo-based move selection
-  const { targetElo } = await chrome.storage.sync.get({ targetElo: 1500 });
-  const selection = selectHumanMove(moves, targetElo);
+  const analysis = beginAnalysis(options.requestId);
+  let moves;
+  try {
+    moves = await getStockfishMoves(normalizedFen, options.search, normalizeOptions, analysis);
+  } finally {
+    finishAnalysis(analysis);
+  }
 
   return {
     fen: normalizedFen.split(' ')[0],
     fenNormalized: normalizedFen,
     turn: normalizedFen.split(' ')[1] || 'w',
-    moves: selection.allMoves,
-    selectedMove: selection.selected,
-    engineBest: selection.engineBest
+    moves,
+    source: 'fen',
+    engine: moves[0]?.engine || null
   };
 }
 
@@ -1474,103 +1860,6 @@ async function cropImageData(dataUrl, x1, y1, x2, y2) {
 // STOCKFISH (Chess-API.com)
 // ============================================================================
 
-// Validate FEN string format
-function validateFEN(fen) {
-  if (!fen || typeof fen !== 'string') {
-    return { valid: false, error: 'FEN is empty or not a string' };
-  }
-
-  const parts = fen.trim().split(' ');
-
-  // Must have at least position and turn
-  if (parts.length < 2) {
-    return { valid: false, error: `FEN should have at least 2 parts, got ${parts.length}` };
-  }
-
-  // Validate board position (first part)
-  const board = parts[0];
-  const ranks = board.split('/');
-
-  if (ranks.length !== 8) {
-    return { valid: false, error: `Board should have 8 ranks, got ${ranks.length}` };
-  }
-
-  // Count pieces
-  let whiteKings = 0, blackKings = 0;
-  let whitePawns = 0, blackPawns = 0;
-  let whitePieces = 0, blackPieces = 0;
-
-  // Validate each rank
-  for (let i = 0; i < 8; i++) {
-    const rank = ranks[i];
-    const rankNum = 8 - i; // Rank 8 is index 0, rank 1 is index 7
-    let squares = 0;
-
-    for (const char of rank) {
-      if ('12345678'.includes(char)) {
-        squares += parseInt(char);
-      } else if ('pnbrqkPNBRQK'.includes(char)) {
-        squares += 1;
-        if (char === char.toUpperCase()) whitePieces++;
-        else blackPieces++;
-        if (char === 'K') whiteKings++;
-        if (char === 'k') blackKings++;
-        if (char === 'P') {
-          whitePawns++;
-          // Pawns can't be on rank 1 or 8
-          if (rankNum === 1 || rankNum === 8) {
-            return { valid: false, error: `White pawn on rank ${rankNum} is illegal` };
-          }
-        }
-        if (char === 'p') {
-          blackPawns++;
-          // Pawns can't be on rank 1 or 8
-          if (rankNum === 1 || rankNum === 8) {
-            return { valid: false, error: `Black pawn on rank ${rankNum} is illegal` };
-          }
-        }
-      } else {
-        return { valid: false, error: `Invalid character '${char}' in rank ${rankNum}` };
-      }
-    }
-
-    if (squares !== 8) {
-      return { valid: false, error: `Rank ${rankNum} has ${squares} squares, should have 8` };
-    }
-  }
-
-  // Must have exactly one king of each color
-  if (whiteKings !== 1) {
-    return { valid: false, error: `Must have exactly 1 white King, found ${whiteKings}` };
-  }
-  if (blackKings !== 1) {
-    return { valid: false, error: `Must have exactly 1 black King, found ${blackKings}` };
-  }
-
-  // Maximum 8 pawns per side
-  if (whitePawns > 8) {
-    return { valid: false, error: `White has ${whitePawns} pawns, maximum is 8` };
-  }
-  if (blackPawns > 8) {
-    return { valid: false, error: `Black has ${blackPawns} pawns, maximum is 8` };
-  }
-
-  // Maximum 16 pieces per side (promotions do not increase total piece count)
-  if (whitePieces > 16) {
-    return { valid: false, error: `White has ${whitePieces} pieces, maximum is 16` };
-  }
-  if (blackPieces > 16) {
-    return { valid: false, error: `Black has ${blackPieces} pieces, maximum is 16` };
-  }
-
-  // Validate turn
-  if (parts[1] && !['w', 'b'].includes(parts[1])) {
-    return { valid: false, error: `Invalid turn '${parts[1]}', should be 'w' or 'b'` };
-  }
-
-  return { valid: true };
-}
-
 // Validate pieces array from Vision response
 function validatePiecesArray(pieces) {
   if (!Array.isArray(pieces) || pieces.length === 0) {
@@ -1671,96 +1960,12 @@ function buildFENFromPieces(pieces, turn = 'w') {
   }
 
   const boardPart = rankStrings.join('/');
-  const castling = inferCastlingRightsFromPosition(boardPart);
+  const castling = ChessFen.inferCastlingRights(boardPart);
   const safeTurn = ['w', 'b'].includes(turn) ? turn : 'w';
 
   return `${boardPart} ${safeTurn} ${castling} - 0 1`;
 }
 
-function getFenPieceAtSquare(boardPart, square) {
-  if (!boardPart || !square || square.length !== 2) return null;
-
-  const file = square.charCodeAt(0) - 97; // a=0..h=7
-  const rank = parseInt(square[1], 10); // 1..8
-  if (file < 0 || file > 7 || rank < 1 || rank > 8) return null;
-
-  const ranks = boardPart.split('/');
-  if (ranks.length !== 8) return null;
-
-  const rankStr = ranks[8 - rank];
-  let col = 0;
-  for (const ch of rankStr) {
-    if ('12345678'.includes(ch)) {
-      col += parseInt(ch, 10);
-    } else {
-      if (col === file) return ch;
-      col += 1;
-    }
-    if (col > file) break;
-  }
-
-  return null;
-}
-
-function inferCastlingRightsFromPosition(boardPart) {
-  const rights = [];
-
-  // White
-  if (getFenPieceAtSquare(boardPart, 'e1') === 'K') {
-    if (getFenPieceAtSquare(boardPart, 'h1') === 'R') rights.push('K');
-    if (getFenPieceAtSquare(boardPart, 'a1') === 'R') rights.push('Q');
-  }
-
-  // Black
-  if (getFenPieceAtSquare(boardPart, 'e8') === 'k') {
-    if (getFenPieceAtSquare(boardPart, 'h8') === 'r') rights.push('k');
-    if (getFenPieceAtSquare(boardPart, 'a8') === 'r') rights.push('q');
-  }
-
-  return rights.length ? rights.join('') : '-';
-}
-
-// Ensure FEN has all 6 fields with valid values
-function normalizeFEN(fen, options = {}) {
-  if (!fen || typeof fen !== 'string') return '';
-
-  const inferCastlingWhenMissing = options.inferCastlingWhenMissing !== false;
-  const parts = fen.trim().split(/\s+/).filter(Boolean);
-  if (parts.length === 0) return '';
-
-  // Default values for missing or invalid parts
-  const position = parts[0];
-  const turn = ['w', 'b'].includes(parts[1]) ? parts[1] : 'w';
-
-  // Castling:
-  // - If missing entirely, optionally infer from kings/rooks on starting squares
-  // - If present, validate or default to '-'
-  let castling = '-';
-  const hasCastlingField = parts.length >= 3;
-  if (hasCastlingField) {
-    if (parts[2] && parts[2] !== '-') {
-      const validCastling = parts[2].split('').filter(c => 'KQkq'.includes(c)).join('');
-      castling = validCastling || '-';
-    } else {
-      castling = '-';
-    }
-  } else if (inferCastlingWhenMissing) {
-    castling = inferCastlingRightsFromPosition(position);
-  }
-
-  // En passant - validate or default to '-'
-  let enPassant = '-';
-  if (parts[3] && /^[a-h][36]$/.test(parts[3])) {
-    enPassant = parts[3];
-  }
-
-  // Move counters - ensure they're valid numbers
-  const halfmove = /^\d+$/.test(parts[4]) ? parts[4] : '0';
-  const fullmove = /^\d+$/.test(parts[5]) ? parts[5] : '1';
-
-  return `${position} ${turn} ${castling} ${enPassant} ${halfmove} ${fullmove}`;
-}
-
 function buildFenForAnalysis(result, normalizeOptions = {}) {
   if (!result?.fen || typeof result.fen !== 'string') {
     return null;
@@ -1781,7 +1986,7 @@ function buildFenForAnalysis(result, normalizeOptions = {}) {
   return {
     raw,
     fenWithTurn,
-    normalized: normalizeFEN(fenWithTurn, normalizeOptions)
+    normalized: ChessFen.normalizeFEN(fenWithTurn, normalizeOptions)
   };
 }
 
@@ -1798,10 +2003,12 @@ function confidenceScore(confidence) {
   }
 }
 
+// Vision turn is a guess - the user's colour decides it later, so only the
+// board has to be legal here (validateFEN ignoreTurn)
 function evaluateVisionResults(results, normalizeOptions = {}) {
   return results.map((result) => {
     const fenData = buildFenForAnalysis(result, normalizeOptions);
-    const fenValidation = fenData ? validateFEN(fenData.normalized) : null;
+    const fenValidation = fenData ? ChessFen.validateFEN(fenData.normalized, { ignoreTurn: true }) : null;
 
     // Try building FEN from pieces array for comparison
     let piecesResult = null;
@@ -1809,7 +2016,7 @@ function evaluateVisionResults(results, normalizeOptions = {}) {
       const piecesValidation = validatePiecesArray(result.pieces);
       if (piecesValidation.valid) {
         const rebuiltFen = buildFENFromPieces(piecesValidation.pieces, result.turn);
-        const rebuiltValidation = validateFEN(rebuiltFen);
+        const rebuiltValidation = ChessFen.validateFEN(rebuiltFen, { ignoreTurn: true });
         if (rebuiltValidation.valid) {
           piecesResult = { fen: rebuiltFen, validation: rebuiltValidation };
         }
@@ -1883,144 +2090,588 @@ function evaluateVisionResults(results, normalizeOptions = {}) {
 }
 
 // ============================================================================
-// ELO-BASED MOVE SELECTION (Anti-detection)
+// MOVE QUALITY (study display)
 // ============================================================================
 
-function selectHumanMove(moves, targetElo) {
-  // Pass through if 0-1 moves available
-  if (!moves || moves.length <= 1) {
-    const only = moves?.[0] || null;
-    return { selected: only, engineBest: only, allMoves: moves || [] };
-  }
-
-  const engineBest = moves[0];
-
-  // Always pick mate moves — no human avoids forced mate
-  if (typeof engineBest.evaluation === 'string' && engineBest.evaluation.startsWith('M')) {
-    return { selected: engineBest, engineBest, allMoves: moves };
+// Win-chance drop (percentage points, mover's view) below which a move still
+// gets each label; anything worse is a blunder
+const MOVE_QUALITY_THRESHOLDS = [
+  ['good', 5],
+  ['inaccuracy', 10],
+  ['mistake', 15]
+];
+
+// Evaluation (pawns or "M3", White's view) -> centipawns for the side to
+// move. Mates count as huge scores, faster mates higher.
+function moverCp(evaluation, turn) {
+  let cp;
+  if (typeof evaluation === 'string' && evaluation.startsWith('M')) {
+    const mateIn = parseInt(evaluation.slice(1), 10) || 0;
+    cp = Math.sign(mateIn) * (10000 - Math.abs(mateIn) * 10);
+  } else {
+    cp = (Number(evaluation) || 0) * 100;
   }
+  return turn === 'b' ? -cp : cp;
+}
 
-  // Compute centipawn losses relative to best move
-  const bestCp = typeof engineBest.evaluation === 'number' ? engineBest.evaluation * 100 : 0;
-  const losses = moves.map(m => {
-    const cp = typeof m.evaluation === 'number' ? m.evaluation * 100 : 0;
-    return Math.max(0, bestCp - cp);
+// Engine moves in the engine's own order, each with its `rank` and a
+// `quality` label from how much win chance it gives up against the best
+function annotateMoveQuality(fen, moves) {
+  const turn = fen.split(' ')[1] || 'w';
+  const chances = moves.map(m => cpToWinChance(moverCp(m.evaluation, turn)));
+  const best = Math.max(...chances);
+
+  return moves.map((move, index) => {
+    const loss = Math.max(0, best - chances[index]);
+    const label = index === 0 ? 'best' : (MOVE_QUALITY_THRESHOLDS.find(([, limit]) => loss < limit)?.[0] || 'blunder');
+    return { ...move, rank: index + 1, winChanceLoss: Math.round(loss * 10) / 10, quality: label };
   });
+}
 
-  // Temperature from Elo with ±15% jitter
-  const baseTemp = Math.max(5, 200 - 0.08 * targetElo);
-  const tau = baseTemp * (0.85 + Math.random() * 0.30);
-
-  // Softmax probabilities
-  const weights = losses.map(l => Math.exp(-l / tau));
-  const sum = weights.reduce((a, b) => a + b, 0);
-  const probs = weights.map(w => w / sum);
-
-  // Sample from cumulative distribution
-  const roll = Math.random();
-  let cumulative = 0;
-  let selectedIndex = 0;
-  for (let i = 0; i < probs.length; i++) {
-    cumulative += probs[i];
-    if (roll <= cumulative) {
-      selectedIndex = i;
-      break;
-    }
-  }
-
-  const selected = moves[selectedIndex];
-  console.log(`[Chess Study] Elo ${targetElo}, τ=${tau.toFixed(1)}, picked move #${selectedIndex + 1}/${moves.length} (${selected.move}, loss=${losses[selectedIndex].toFixed(0)}cp)`);
+// Per-request search options from an ANALYZE_* message:
+//   { depth, movetime, multiPv, searchMoves }
+// All optional; searchMoves may be SAN or UCI and is resolved against the
+// position in getStockfishMoves.
+function parseSearchRequest(message) {
+  const request = {};
+  const depth = parseInt(message.depth, 10);
+  const movetime = parseInt(message.movetime, 10);
+  const multiPv = parseInt(message.multiPv, 10);
+
+  if (depth > 0) request.depth = Math.min(depth, 60);
+  if (movetime > 0) request.movetime = Math.min(movetime, 600000);
+  if (multiPv > 0) request.multiPv = Math.min(multiPv, MAX_MULTI_PV);
+  if (Array.isArray(message.searchMoves) && message.searchMoves.length > 0) {
+    request.searchMoves = message.searchMoves.map(String);
+  }
+  return request;
+}
 
-  return { selected, engineBest, allMoves: moves };
+// Candidate moves (SAN or UCI) -> UCI, or an error naming the bad one
+function resolveSearchMoves(fen, moves) {
+  return moves.map(move => {
+    const legal = ChessRules.findUciMove(fen, move) || ChessRules.sanToMove(fen, move);
+    if (!legal) throw new Error(`Not a legal move in this position: ${move}`);
+    return legal.uci;
+  });
 }
 
-async function getStockfishMoves(fen, depth, numMoves, normalizeOptions = {}) {
+// `request` overrides the engine settings for this search only (see
+// parseSearchRequest). `analysis` (from beginAnalysis) makes the search
+// abortable and streams local engine progress to the panel.
+async function getStockfishMoves(fen, request = {}, normalizeOptions = {}, analysis = null) {
   console.log('[Chess Study] Raw FEN from Vision:', fen);
 
   // Normalize FEN first to ensure all 6 fields with valid values
   // This handles cases where Vision API returns only the piece placement part
-  const normalizedFEN = normalizeFEN(fen, normalizeOptions);
+  const normalizedFEN = ChessFen.normalizeFEN(fen, normalizeOptions);
   console.log('[Chess Study] Normalized FEN:', normalizedFEN);
 
   // Validate the normalized FEN
-  const validation = validateFEN(normalizedFEN);
+  const validation = ChessFen.validateFEN(normalizedFEN);
   if (!validation.valid) {
     console.error('[Chess Study] FEN validation failed:', validation.error);
     throw new Error(`Invalid FEN: ${validation.error}`);
   }
 
-  const targetMoves = Math.min(numMoves, 5);
+  // No legal moves means the game is already over - nothing to ask the engine
+  const status = ChessRules.getGameStatus(normalizedFEN);
+  if (status.legalMoveCount === 0) {
+    console.log('[Chess Study] No legal moves:', status.checkmate ? 'checkmate' : 'stalemate');
+    return [];
+  }
 
-  // Try Lichess Cloud Eval first (supports multiple variations)
-  try {
-    const moves = await getLichessCloudEval(normalizedFEN, targetMoves);
-    if (moves.length > 0) {
-      console.log(`[Chess Study] Got ${moves.length} moves from Lichess`);
-      return moves;
+  const searchMoves = request.searchMoves ? resolveSearchMoves(normalizedFEN, request.searchMoves) : null;
+  const engineSettings = await getEngineSettings();
+  const signal = analysis?.controller.signal;
+  const failures = [];
+
+  // Enabled backends in the user's order; the first one with legal moves wins
+  for (const id of engineSettings.engineOrder) {
+    const backend = ENGINE_BACKENDS[id];
+    if (!backend || !engineSettings.engineEnabled[id]) continue;
+
+    // An aborted analysis doesn't fall through to the next backend
+    if (signal?.aborted) throw analysisAbortedError(signal);
+
+    if (searchMoves && !backend.searchMoves) {
+      failures.push(`${backend.label}: can't search chosen moves only`);
+      continue;
     }
-  } catch (lichessError) {
-    console.warn('[Chess Study] Lichess API failed:', lichessError.message);
 
-    // If position not in database or rate limited, try fallback
-    if (lichessError.message.includes('not in Lichess') ||
-        lichessError.message.includes('Rate limited')) {
-      console.log('[Chess Study] Falling back to Chess-API.com (1 move only)');
+    // A depth or time in the request replaces both limits; otherwise local
+    // engines use the engine settings and cloud backends depth 18 / 5 lines
+    const options = request.depth || request.movetime
+      ? { depth: request.depth || null, movetime: request.movetime || null }
+      : backend.local
+        ? { depth: engineSettings.engineDepth, movetime: engineSettings.engineMoveTime }
+        : { depth: 18, movetime: null };
+    options.multiPv = Math.min(
+      request.multiPv || (backend.local ? engineSettings.engineMultiPv : 5),
+      backend.maxMultiPv || MAX_MULTI_PV
+    );
+    options.searchMoves = searchMoves;
+    options.signal = signal;
+    options.onInfo = analysis ? createProgressReporter(normalizedFEN, backend.id, analysis) : null;
+
+    try {
+      const moves = filterLegalMoves(normalizedFEN, await runEngineBackend(backend, normalizedFEN, options));
+      // Stopped searches keep their partial lines; cancelled ones are dropped
+      if (signal?.aborted && (signal.reason !== 'stopped' || moves.length === 0)) {
+        throw analysisAbortedError(signal);
+      }
+      if (moves.length > 0) {
+        console.log(`[Chess Study] Got ${moves.length} moves from ${backend.label}`);
+        return annotateMoveQuality(normalizedFEN, moves.map(m => ({ ...m, engine: backend.id })));
+      }
+      failures.push(`${backend.label}: no moves`);
+    } catch (error) {
+      if (signal?.aborted) throw analysisAbortedError(signal);
+      console.warn(`[Chess Study] ${backend.label} failed:`, error.message);
+      failures.push(`${backend.label}: ${error.message}`);
     }
   }
 
-  // Fallback to Chess-API.com (only returns 1 move)
-  console.log('[Chess Study] Using Chess-API fallback');
-  const fallbackMoves = await getChessApiMove(normalizedFEN, depth);
-  if (fallbackMoves.length > 0) {
-    console.log('[Chess Study] Got 1 move from Chess-API fallback');
+  if (failures.length === 0) {
+    throw new Error('No engine backends enabled - turn one on in Settings → Engine');
   }
-  return fallbackMoves;
+  await debugLog('error', 'Stockfish', 'All engine backends failed', { fen: normalizedFEN, failures });
+  throw new Error(failures.join('; '));
 }
 
-// Rate limiting state for Lichess
-let lichessLastRequest = 0;
-let lichessBackoffUntil = 0;
-const LICHESS_MIN_INTERVAL = 1000; // 1 second between requests
-const LICHESS_BACKOFF_TIME = 60000; // 1 minute backoff on 429
+// Drop any engine move that isn't legal in the analysed position
+function filterLegalMoves(fen, moves) {
+  const legal = moves.filter(m => ChessRules.isLegalUci(fen, m.move));
+  if (legal.length < moves.length) {
+    const dropped = moves.filter(m => !legal.includes(m)).map(m => m.move);
+    debugLog('warn', 'Stockfish', 'Dropped illegal engine moves', { fen, dropped });
+  }
+  return legal;
+}
 
-// Lichess Cloud Eval API - supports multiple principal variations
-async function getLichessCloudEval(fen, numMoves, retryCount = 0) {
+// ============================================================================
+// GAME REVIEW
+// ============================================================================
+
+// Every move of a finished game's main line, judged like the engine ranking:
+// the engine evaluates each position once, and a move's label comes from the
+// win chance (cpToWinChance) its mover gave up, with MOVE_QUALITY_THRESHOLDS.
+// The engine's own choice is always 'best'. Progress goes to the panel as
+// REVIEW_PROGRESS on the analysis port.
+
+// Centipawn loss counts scores up to this size, so one move in a lost
+// position doesn't swamp the average
+const REVIEW_CP_CAP = 1000;
+
+// Per-move accuracy (0-100) from the win-chance drop, Lichess's fit
+function moveAccuracy(winChanceLoss) {
+  const accuracy = 103.1668 * Math.exp(-0.04354 * winChanceLoss) - 3.1669;
+  return Math.max(0, Math.min(100, accuracy));
+}
+
+// Centipawns for White from the engine's moves; a position without legal
+// moves is mate or stalemate
+function whiteCp(fen, moves) {
+  if (moves.length > 0) return moverCp(moves[0].evaluation, 'w');
+  if (!ChessRules.getGameStatus(fen).checkmate) return 0;
+  return fen.split(' ')[1] === 'w' ? -10000 : 10000;
+}
+
+function reportReviewProgress(requestId, done, total) {
+  const message = { type: 'REVIEW_PROGRESS', requestId, done, total };
+  for (const port of analysisPorts) port.postMessage(message);
+}
+
+// { moves: [{ ply, san, uci, color, evaluation, bestMove, bestSan, quality,
+//   winChanceLoss, cpLoss, accuracy }], players: { w, b } }, where `moves`
+// follows the main line and each player has { moves, accuracy, acpl, counts }
+async function handleGameReview(pgn, options = {}) {
+  const game = ChessPgn.parsePgn(pgn || '')[options.gameIndex || 0];
+  if (!game?.root) throw new Error('No game found in PGN');
+  if (!FINISHED_RESULTS.includes(game.headers.Result)) {
+    return { error: 'Game review is for finished games. This PGN has no Result tag, or its Result is *.' };
+  }
+  const line = ChessPgn.mainLine(game.root);
+  if (line.length === 0) throw new Error('The game has no moves');
+
+  const refusal = await checkReviewMode(game.root.fen, pgn) || await checkFairPlay();
+  if (refusal) return refusal;
+
+  // One line is enough: only the best move and its score are used
+  const search = { ...options.search, multiPv: 1 };
+  const positions = [game.root, ...line];
+  const evaluations = [];
+  const analysis = beginAnalysis(options.requestId);
+  try {
+    for (const node of positions) {
+      reportReviewProgress(options.requestId, evaluations.length, positions.length);
+      const moves = await getStockfishMoves(node.fen, search, {}, analysis);
+      evaluations.push({ cp: whiteCp(node.fen, moves), best: moves[0] || null });
+    }
+  } finally {
+    finishAnalysis(analysis);
+  }
+
+  const cap = (cp) => Math.max(-REVIEW_CP_CAP, Math.min(REVIEW_CP_CAP, cp));
+  const moves = line.map((node, index) => {
+    const color = positions[index].fen.split(' ')[1];
+    const sign = color === 'w' ? 1 : -1;
+    const before = evaluations[index];
+    const after = evaluations[index + 1];
+    const winChanceLoss = Math.max(0, cpToWinChance(sign * before.cp) - cpToWinChance(sign * after.cp));
+    const quality = node.uci === before.best?.move
+      ? 'best'
+      : MOVE_QUALITY_THRESHOLDS.find(([, limit]) => winChanceLoss < limit)?.[0] || 'blunder';
+    return {
+      ply: node.ply,
+      san: node.san,
+      uci: node.uci,
+      color,
+      evaluation: after.best ? after.best.evaluation : null,
+      bestMove: before.best?.move || null,
+      bestSan: before.best?.san || null,
+      quality,
+      winChanceLoss: Math.round(winChanceLoss * 10) / 10,
+      cpLoss: Math.max(0, sign * (cap(before.cp) - cap(after.cp))),
+      accuracy: moveAccuracy(winChanceLoss)
+    };
+  });
+
+  const players = {};
+  for (const color of ['w', 'b']) {
+    const own = moves.filter(move => move.color === color);
+    const counts = Object.fromEntries(['best', ...MOVE_QUALITY_THRESHOLDS.map(([label]) => label), 'blunder'].map(label => [label, 0]));
+    own.forEach(move => counts[move.quality]++);
+    const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+    players[color] = {
+      moves: own.length,
+      accuracy: mean(own.map(move => move.accuracy)),
+      acpl: mean(own.map(move => move.cpLoss)),
+      counts
+    };
+  }
+
+  return { moves, players };
+}
+
+// ============================================================================
+// ENGINE BACKENDS
+// ============================================================================
+
+// Every backend: analyze(fen, { depth, multiPv, movetime, searchMoves, signal, onInfo }) -> moves.
+// `signal` aborts the search (local engines stop and return what they have);
+// `onInfo` receives streamed UCI info lines from engines that produce them.
+// `maxMultiPv` caps the lines asked for; only backends flagged `searchMoves`
+// can restrict the search to chosen candidate moves.
+// Throttling and rate-limit backoff are handled here, the same way for all
+// of them; a backend only has to throw rateLimitError() on HTTP 429.
+const ENGINE_BACKENDS = {
+  lichess: {
+    id: 'lichess',
+    label: 'Lichess cloud',
+    minInterval: 1000,   // 1 second between requests
+    backoffMs: 60000,    // 1 minute backoff on 429
+    maxMultiPv: 5,
+    analyze: (fen, { multiPv, signal }) => getLichessCloudEval(fen, multiPv, signal)
+  },
+  chessapi: {
+    id: 'chessapi',
+    label: 'Chess-API',
+    minInterval: 1000,
+    backoffMs: 60000,
+    maxMultiPv: 1,
+    searchMoves: true,
+    analyze: (fen, { depth, searchMoves, signal }) => getChessApiMove(fen, depth || 18, searchMoves, signal)
+  },
+  wasm: {
+    id: 'wasm',
+    label: 'Local Stockfish',
+    local: true,
+    searchMoves: true,
+    analyze: (fen, options) => getLocalStockfishMoves(fen, options)
+  },
+  native: {
+    id: 'native',
+    label: 'Native engine',
+    local: true,
+    searchMoves: true,
+    analyze: (fen, options) => getNativeEngineMoves(fen, options)
+  }
+};
+
+// Per-backend throttle state: { lastRequest, backoffUntil }
+const backendState = {};
+
+function rateLimitError(label) {
+  const error = new Error(`Rate limited by ${label}`);
+  error.rateLimited = true;
+  return error;
+}
+
+async function runEngineBackend(backend, fen, options) {
+  return runThrottled(backend, () => backend.analyze(fen, options));
+}
+
+// `task` once `service` ({ id, label, minInterval, backoffMs }) may be
+// asked again; a rateLimitError() from the task starts its backoff
+async function runThrottled(service, task) {
+  const state = backendState[service.id] || (backendState[service.id] = { lastRequest: 0, backoffUntil: 0 });
   const now = Date.now();
 
-  // Check if we're in backoff period
-  if (now < lichessBackoffUntil) {
-    const waitTime = Math.ceil((lichessBackoffUntil - now) / 1000);
-    throw new Error(`Rate limited. Please wait ${waitTime}s before next analysis.`);
+  if (now < state.backoffUntil) {
+    const waitTime = Math.ceil((state.backoffUntil - now) / 1000);
+    throw new Error(`Rate limited, retry in ${waitTime}s`);
   }
 
-  // Ensure minimum interval between requests
-  const timeSinceLastRequest = now - lichessLastRequest;
-  if (timeSinceLastRequest < LICHESS_MIN_INTERVAL) {
-    const delay = LICHESS_MIN_INTERVAL - timeSinceLastRequest;
-    console.log(`[Chess Study] Waiting ${delay}ms before Lichess request`);
+  // Ensure minimum interval between requests. The slot is taken before
+  // waiting, so requests made together queue up instead of all going at once.
+  const delay = Math.max(0, state.lastRequest + (service.minInterval || 0) - now);
+  state.lastRequest = now + delay;
+  if (delay > 0) {
+    console.log(`[Chess Study] Waiting ${delay}ms before ${service.label} request`);
     await new Promise(resolve => setTimeout(resolve, delay));
   }
 
-  lichessLastRequest = Date.now();
+  try {
+    return await task();
+  } catch (error) {
+    if (error.rateLimited) {
+      state.backoffUntil = Date.now() + (service.backoffMs || 60000);
+      await debugLog('warn', 'Stockfish', `${service.label} rate limited, backing off`, { backoffMs: service.backoffMs });
+    }
+    throw error;
+  }
+}
+
+// Engine settings with defaults filled in. Backends added after the user
+// saved their order go to the end; 3.16's single `engineBackend: 'local'`
+// choice becomes "WASM first".
+async function getEngineSettings() {
+  const settings = await chrome.storage.sync.get({
+    ...ENGINE_DEFAULTS,
+    engineOrder: null,
+    engineEnabled: null,
+    engineBackend: null
+  });
+
+  if (!settings.engineOrder) {
+    const localFirst = settings.engineBackend === 'local';
+    settings.engineOrder = localFirst
+      ? ['wasm', ...ENGINE_DEFAULTS.engineOrder.filter(id => id !== 'wasm')]
+      : ENGINE_DEFAULTS.engineOrder.slice();
+    settings.engineEnabled = { ...ENGINE_DEFAULTS.engineEnabled, wasm: localFirst };
+  }
+
+  settings.engineEnabled = { ...ENGINE_DEFAULTS.engineEnabled, ...settings.engineEnabled };
+  for (const id of Object.keys(ENGINE_BACKENDS)) {
+    if (!settings.engineOrder.includes(id)) settings.engineOrder.push(id);
+  }
+  return settings;
+}
+
+// ============================================================================
+// LOCAL STOCKFISH (WASM in an offscreen document)
+// ============================================================================
+
+let creatingOffscreen = null;
+
+// MV3 service workers can't host Web Workers; the offscreen document can
+async function ensureOffscreenDocument() {
+  const url = chrome.runtime.getURL(CONFIG.OFFSCREEN_DOCUMENT);
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [url]
+  });
+  if (contexts.length > 0) return;
+
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: CONFIG.OFFSCREEN_DOCUMENT,
+      reasons: ['WORKERS'],
+      justification: 'Run the Stockfish WASM engine in a Web Worker'
+    }).finally(() => {
+      creatingOffscreen = null;
+    });
+  }
+  await creatingOffscreen;
+}
+
+let localSearchId = 0;
+const localSearches = new Map(); // id -> onInfo, fed by ENGINE_INFO messages
+
+// Search with the local engine in the offscreen document. Aborting sends
+// ENGINE_STOP; the engine then answers with the lines it has so far.
+async function getLocalStockfishMoves(fen, { depth, multiPv, movetime, searchMoves, signal, onInfo }) {
+  await ensureOffscreenDocument();
+
+  const id = ++localSearchId;
+  const stop = () => {
+    chrome.runtime.sendMessage({ target: 'offscreen', type: 'ENGINE_STOP', id }).catch(() => {});
+  };
+  if (onInfo) localSearches.set(id, onInfo);
+  signal?.addEventListener('abort', stop);
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      type: 'ENGINE_ANALYZE',
+      id,
+      fen,
+      depth,
+      multiPv: Math.max(1, Math.min(multiPv || 1, MAX_MULTI_PV)),
+      movetime,
+      searchMoves
+    });
+
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from local engine');
+    }
+
+    return uciLinesToMoves(fen, response.lines);
+  } finally {
+    localSearches.delete(id);
+    signal?.removeEventListener('abort', stop);
+  }
+}
+
+// Map parsed UCI `info` lines ({ depth, cp, mate, pv }) onto the same move
+// shape as the Lichess backend (evaluation from White's point of view)
+function uciLinesToMoves(fen, lines) {
+  // UCI scores are relative to the side to move
+  const sign = fen.split(' ')[1] === 'b' ? -1 : 1;
+
+  return (lines || []).filter(line => line.pv && line.pv.length > 0).map(line => {
+    const firstMove = line.pv[0];
+    const cp = line.cp !== null && line.cp !== undefined ? line.cp * sign : null;
+    const evaluation = line.mate !== null && line.mate !== undefined ? `M${line.mate * sign}` : cp / 100;
+
+    return withSanNotation(fen, {
+      move: firstMove,
+      from: firstMove.substring(0, 2),
+      to: firstMove.substring(2, 4),
+      promotion: firstMove.length > 4 ? firstMove[4] : null,
+      evaluation,
+      depth: line.depth,
+      continuation: line.pv,
+      winChance: cpToWinChance(cp || 0)
+    });
+  });
+}
+
+// ============================================================================
+// NATIVE ENGINE (native messaging host, see native/host.js)
+// ============================================================================
+
+// Safety net in case the host never answers a depth-only search
+const NATIVE_SEARCH_TIMEOUT = 120000;
+
+let nativePort = null;
+let nativeRequestId = 0;
+const nativeRequests = new Map(); // id -> { resolve, reject, onInfo }
+
+// One long-lived port; Chrome starts the host on first connect
+function getNativePort() {
+  if (nativePort) return nativePort;
+
+  const port = chrome.runtime.connectNative(CONFIG.NATIVE_HOST);
+  port.onMessage.addListener(handleNativeMessage);
+  port.onDisconnect.addListener(() => {
+    // A late disconnect from a replaced port must not fail the new one's searches
+    if (nativePort !== port) return;
+    const reason = chrome.runtime.lastError?.message || 'Native engine host disconnected';
+    console.warn('[Chess Study] Native host disconnected:', reason);
+    nativePort = null;
+    for (const request of nativeRequests.values()) {
+      request.reject(new Error(reason));
+    }
+    nativeRequests.clear();
+  });
+  nativePort = port;
+  return port;
+}
+
+function handleNativeMessage(message) {
+  const request = nativeRequests.get(message.id);
+  if (!request) {
+    if (message.type === 'error') {
+      debugLog('warn', 'Native', 'Host error', { error: message.error });
+    }
+    return;
+  }
+
+  if (message.type === 'info') {
+    request.onInfo(message.line);
+  } else if (message.type === 'done') {
+    nativeRequests.delete(message.id);
+    request.resolve(message);
+  } else if (message.type === 'error') {
+    nativeRequests.delete(message.id);
+    request.reject(new Error(message.error));
+  }
+}
+
+// Search with a locally installed UCI engine. `info` lines go to `onInfo`
+// while the search runs; aborting sends 'stop' and the host answers with the
+// lines so far, in the same move shape as every other backend.
+async function getNativeEngineMoves(fen, { depth, multiPv, movetime, searchMoves, signal, onInfo }) {
+  const { nativeEngine } = await chrome.storage.sync.get({ nativeEngine: '' });
+  const id = ++nativeRequestId;
+  const stop = () => nativePort?.postMessage({ type: 'stop', id });
+
+  const result = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      nativeRequests.delete(id);
+      stop();
+      reject(new Error('Native engine timed out'));
+    }, (movetime || 0) + NATIVE_SEARCH_TIMEOUT);
+    const settle = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', stop);
+    };
+
+    nativeRequests.set(id, {
+      resolve: (message) => { settle(); resolve(message); },
+      reject: (error) => { settle(); reject(error); },
+      onInfo: (line) => onInfo?.(line)
+    });
+    signal?.addEventListener('abort', stop);
+
+    try {
+      getNativePort().postMessage({
+        type: 'analyze',
+        id,
+        fen,
+        depth,
+        multiPv,
+        movetime,
+        searchMoves,
+        engine: nativeEngine || undefined
+      });
+    } catch (error) {
+      nativeRequests.get(id)?.reject(error);
+      nativeRequests.delete(id);
+    }
+  });
+
+  console.log(`[Chess Study] Native engine '${result.engine}' done, best ${result.bestmove}`);
+  return uciLinesToMoves(fen, result.lines);
+}
+
+// Lichess Cloud Eval API - supports multiple principal variations
+async function getLichessCloudEval(fen, numMoves, signal) {
   const url = `${CONFIG.LICHESS_CLOUD_EVAL_URL}?fen=${encodeURIComponent(fen)}&multiPv=${numMoves}`;
   console.log('[Chess Study] Lichess request:', url);
 
   const response = await fetch(url, {
     headers: {
       'Accept': 'application/json'
-    }
+    },
+    signal
   });
 
   if (!response.ok) {
     if (response.status === 429) {
-      lichessBackoffUntil = Date.now() + LICHESS_BACKOFF_TIME;
-      console.warn('[Chess Study] Rate limited by Lichess, backing off for 60s');
-
-      // Retry once after backoff if this is the first attempt
-      if (retryCount === 0) {
-        throw new Error('Rate limited by Lichess. Will use fallback.');
-      }
-      throw new Error('Rate limited by Lichess. Please wait a minute.');
+      throw rateLimitError('Lichess');
     }
     if (response.status === 404) {
       throw new Error('Position not in Lichess cloud database');
@@ -2050,18 +2701,16 @@ async function getLichessCloudEval(fen, numMoves, retryCount = 0) {
       evaluation = (pv.cp || 0) / 100;
     }
 
-    return {
+    return withSanNotation(fen, {
       move: firstMove,
-      san: firstMove, // We don't have SAN from Lichess, will show UCI
       from: from,
       to: to,
       promotion: promotion,
       evaluation: evaluation,
       depth: data.depth || 0,
       continuation: moveList,
-      continuationArr: moveList,
       winChance: cpToWinChance(pv.cp || 0)
-    };
+    });
   });
 
   console.log('[Chess Study] Parsed Lichess moves:', moves);
@@ -2075,22 +2724,27 @@ function cpToWinChance(cp) {
 }
 
 // Fallback: Chess-API.com (only returns 1 move)
-async function getChessApiMove(fen, depth) {
-  console.log('[Chess Study] Using Chess-API fallback');
+async function getChessApiMove(fen, depth, searchMoves, signal) {
+  console.log('[Chess Study] Using Chess-API');
 
   const requestBody = {
     fen: fen,
     depth: Math.min(depth, 18),
     maxThinkingTime: 100
   };
+  if (searchMoves) requestBody.searchmoves = searchMoves.join(' ');
 
   const response = await fetch(CONFIG.CHESS_API_URL, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(requestBody)
+    body: JSON.stringify(requestBody),
+    signal
   });
 
   if (!response.ok) {
+    if (response.status === 429) {
+      throw rateLimitError('Chess-API');
+    }
     throw new Error(`Chess API error: ${response.status}`);
   }
 
@@ -2101,12 +2755,29 @@ async function getChessApiMove(fen, depth) {
   }
 
   if (data && (data.move || data.lan || data.san)) {
-    return [normalizeMove(data)];
+    return [withSanNotation(fen, normalizeMove(data))];
   }
 
   return [];
 }
 
+// Engines speak UCI; rewrite the move and its continuation as SAN for display.
+// `continuation` becomes SAN, the raw line is kept as `continuationUci`.
+function withSanNotation(fen, move) {
+  const uciLine = Array.isArray(move.continuation) ? move.continuation.slice() : [];
+  if (move.move && uciLine[0] !== move.move) {
+    uciLine.unshift(move.move);
+  }
+
+  const sanLine = ChessRules.uciLineToSan(fen, uciLine);
+  return {
+    ...move,
+    san: sanLine[0] || ChessRules.uciToSan(fen, move.move) || move.san || move.move,
+    continuation: sanLine,
+    continuationUci: uciLine.slice(0, Math.max(sanLine.length, 1))
+  };
+}
+
 function normalizeMove(d) {
   console.log('[Chess Study] Normalizing move:', JSON.stringify(d));
 
@@ -2153,6 +2824,137 @@ function normalizeMove(d) {
   };
 }
 
+// ============================================================================
+// OPENING EXPLORER (Lichess masters and lichess games)
+// ============================================================================
+
+// Both databases live on one server, so they share one throttle and backoff
+const EXPLORER_SERVICE = {
+  id: 'explorer',
+  label: 'Lichess explorer',
+  minInterval: 1000,
+  backoffMs: 60000
+};
+
+const EXPLORER_DATABASES = {
+  masters: { path: '/masters', params: {} },
+  lichess: {
+    path: '/lichess',
+    params: { variant: 'standard', speeds: 'blitz,rapid,classical', ratings: '1600,1800,2000,2200,2500' }
+  }
+};
+
+const EXPLORER_MOVES = 12;
+const EXPLORER_CACHE_MAX = 200;
+
+// Request URL -> result, oldest first; lives as long as the service worker
+const explorerCache = new Map();
+
+// A cached value, moved to the back so it is dropped last
+function cacheGet(cache, key) {
+  if (!cache.has(key)) return undefined;
+  const value = cache.get(key);
+  cache.delete(key);
+  cache.set(key, value);
+  return value;
+}
+
+function cachePut(cache, key, value, max) {
+  cache.set(key, value);
+  if (cache.size > max) cache.delete(cache.keys().next().value);
+}
+
+// Base URL from the settings, without a trailing slash
+async function getExplorerUrl() {
+  const { explorerUrl } = await chrome.storage.sync.get({ explorerUrl: '' });
+  return (explorerUrl.trim() || CONFIG.LICHESS_EXPLORER_URL).replace(/\/+$/, '');
+}
+
+// Games from `fen` in one database: totals and, for each move played,
+// { uci, san, games, white, draws, black, averageRating }
+async function getExplorerMoves(fen, db) {
+  const database = EXPLORER_DATABASES[db];
+  if (!database) return { error: `Unknown explorer database '${db}'` };
+  const validation = ChessFen.validateFEN(fen || '');
+  if (!validation.valid) return { error: validation.error };
+
+  const params = new URLSearchParams({ ...database.params, fen, moves: EXPLORER_MOVES, topGames: 0, recentGames: 0 });
+  const url = `${await getExplorerUrl()}${database.path}?${params}`;
+  const cached = cacheGet(explorerCache, url);
+  if (cached) return { ...cached, cached: true };
+
+  const data = await runThrottled(EXPLORER_SERVICE, async () => {
+    console.log('[Chess Study] Explorer request:', url);
+    const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+    if (response.status === 429) throw rateLimitError('Lichess explorer');
+    if (!response.ok) throw new Error(`Explorer error: ${response.status}`);
+    return response.json();
+  });
+
+  const result = {
+    success: true,
+    db,
+    fen,
+    white: data.white || 0,
+    draws: data.draws || 0,
+    black: data.black || 0,
+    moves: (data.moves || []).map(move => ({
+      uci: move.uci,
+      san: ChessRules.uciToSan(fen, move.uci) || move.san || move.uci,
+      games: (move.white || 0) + (move.draws || 0) + (move.black || 0),
+      white: move.white || 0,
+      draws: move.draws || 0,
+      black: move.black || 0,
+      averageRating: move.averageRating || null
+    })),
+    opening: data.opening || null
+  };
+
+  cachePut(explorerCache, url, result, EXPLORER_CACHE_MAX);
+  return result;
+}
+
+// ============================================================================
+// ENDGAME TABLEBASE (Lichess)
+// ============================================================================
+
+// The panel asks with GET_TABLEBASE once the position has 7 pieces or fewer
+const TABLEBASE_SERVICE = {
+  id: 'tablebase',
+  label: 'Lichess tablebase',
+  minInterval: 1000,
+  backoffMs: 60000
+};
+
+const TABLEBASE_CACHE_MAX = 200;
+
+// FEN -> ChessTablebase result
+const tablebaseCache = new Map();
+
+async function getLichessTablebase(fen) {
+  const validation = ChessFen.validateFEN(fen || '');
+  if (!validation.valid) return { error: validation.error };
+  if (!ChessTablebase.canProbe(fen)) {
+    return { error: `Tablebases cover ${ChessTablebase.MAX_PIECES} pieces or fewer, without castling rights` };
+  }
+
+  const cached = cacheGet(tablebaseCache, fen);
+  if (cached) return { ...cached, cached: true };
+
+  const url = `${CONFIG.LICHESS_TABLEBASE_URL}?fen=${encodeURIComponent(fen)}`;
+  const data = await runThrottled(TABLEBASE_SERVICE, async () => {
+    console.log('[Chess Study] Tablebase request:', url);
+    const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+    if (response.status === 429) throw rateLimitError('Lichess tablebase');
+    if (!response.ok) throw new Error(`Tablebase error: ${response.status}`);
+    return response.json();
+  });
+
+  const result = { success: true, ...ChessTablebase.fromLichess(data, fen) };
+  cachePut(tablebaseCache, fen, result, TABLEBASE_CACHE_MAX);
+  return result;
+}
+
 // ============================================================================
 // INIT
 // ============================================================================
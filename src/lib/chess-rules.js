@@ -0,0 +1,672 @@
+/**
+ * Chess Study Tool - Chess Rules Core
+ *
+ * Shared by the service worker (imported as a module side effect) and the
+ * panel (loaded as a classic <script>). Exposes a single `ChessRules`
+ * namespace on globalThis.
+ *
+ * Covers:
+ * - FEN parsing / serialization
+ * - Legal move generation (castling, en passant, promotion)
+ * - Check, checkmate, stalemate and draw detection
+ * - Position legality checks (beyond FEN shape)
+ * - SAN output for moves and engine lines, SAN input for PGN
+ */
+
+(function (root) {
+  'use strict';
+
+  // Board layout: index 0 = a8, 7 = h8, 56 = a1, 63 = h1 (same order as FEN)
+  const FILES = 'abcdefgh';
+
+  const KNIGHT_OFFSETS = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+  const KING_OFFSETS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+  const BISHOP_DIRS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+  const ROOK_DIRS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+  const PROMOTION_PIECES = ['q', 'r', 'b', 'n'];
+
+  // Castling metadata per right: king/rook start and destination squares
+  const CASTLING = {
+    K: { color: 'w', king: 'e1', rook: 'h1', kingTo: 'g1', rookTo: 'f1', empty: ['f1', 'g1'], safe: ['e1', 'f1', 'g1'] },
+    Q: { color: 'w', king: 'e1', rook: 'a1', kingTo: 'c1', rookTo: 'd1', empty: ['b1', 'c1', 'd1'], safe: ['e1', 'd1', 'c1'] },
+    k: { color: 'b', king: 'e8', rook: 'h8', kingTo: 'g8', rookTo: 'f8', empty: ['f8', 'g8'], safe: ['e8', 'f8', 'g8'] },
+    q: { color: 'b', king: 'e8', rook: 'a8', kingTo: 'c8', rookTo: 'd8', empty: ['b8', 'c8', 'd8'], safe: ['e8', 'd8', 'c8'] }
+  };
+
+  // ── Square helpers ────────────────────────────────────────────────────────
+
+  function squareIndex(square) {
+    if (typeof square !== 'string' || !/^[a-h][1-8]$/.test(square)) return -1;
+    const file = square.charCodeAt(0) - 97;
+    const rank = parseInt(square[1], 10);
+    return (8 - rank) * 8 + file;
+  }
+
+  function squareName(index) {
+    return FILES[index % 8] + (8 - Math.floor(index / 8));
+  }
+
+  function colorOf(piece) {
+    if (!piece) return null;
+    return piece === piece.toUpperCase() ? 'w' : 'b';
+  }
+
+  function opposite(color) {
+    return color === 'w' ? 'b' : 'w';
+  }
+
+  function offsetSquare(index, dRow, dCol) {
+    const row = Math.floor(index / 8) + dRow;
+    const col = (index % 8) + dCol;
+    if (row < 0 || row > 7 || col < 0 || col > 7) return -1;
+    return row * 8 + col;
+  }
+
+  // ── FEN ───────────────────────────────────────────────────────────────────
+
+  // Parse a FEN into a position object. Missing trailing fields get defaults.
+  // Throws on malformed board data.
+  function parseFen(fen) {
+    if (!fen || typeof fen !== 'string') {
+      throw new Error('FEN is empty or not a string');
+    }
+
+    const parts = fen.trim().split(/\s+/);
+    const ranks = parts[0].split('/');
+    if (ranks.length !== 8) {
+      throw new Error(`Board should have 8 ranks, got ${ranks.length}`);
+    }
+
+    const board = new Array(64).fill(null);
+    for (let row = 0; row < 8; row++) {
+      let col = 0;
+      for (const ch of ranks[row]) {
+        if ('12345678'.includes(ch)) {
+          col += parseInt(ch, 10);
+        } else if ('pnbrqkPNBRQK'.includes(ch)) {
+          if (col > 7) break;
+          board[row * 8 + col] = ch;
+          col += 1;
+        } else {
+          throw new Error(`Invalid character '${ch}' in rank ${8 - row}`);
+        }
+      }
+      if (col !== 8) {
+        throw new Error(`Rank ${8 - row} has ${col} squares, should have 8`);
+      }
+    }
+
+    const turn = parts[1] === 'b' ? 'b' : 'w';
+    const castling = parts[2] && parts[2] !== '-'
+      ? parts[2].split('').filter(c => 'KQkq'.includes(c)).join('')
+      : '';
+    const epSquare = parts[3] && /^[a-h][36]$/.test(parts[3]) ? parts[3] : null;
+    const halfmove = /^\d+$/.test(parts[4] || '') ? parseInt(parts[4], 10) : 0;
+    const fullmove = /^\d+$/.test(parts[5] || '') ? Math.max(1, parseInt(parts[5], 10)) : 1;
+
+    return { board, turn, castling, epSquare, halfmove, fullmove };
+  }
+
+  function boardToFen(board) {
+    const rows = [];
+    for (let row = 0; row < 8; row++) {
+      let str = '';
+      let empty = 0;
+      for (let col = 0; col < 8; col++) {
+        const piece = board[row * 8 + col];
+        if (!piece) {
+          empty++;
+        } else {
+          if (empty > 0) { str += empty; empty = 0; }
+          str += piece;
+        }
+      }
+      if (empty > 0) str += empty;
+      rows.push(str);
+    }
+    return rows.join('/');
+  }
+
+  function toFen(pos) {
+    const castling = pos.castling || '-';
+    return `${boardToFen(pos.board)} ${pos.turn} ${castling} ${pos.epSquare || '-'} ${pos.halfmove} ${pos.fullmove}`;
+  }
+
+  function clonePosition(pos) {
+    return {
+      board: pos.board.slice(),
+      turn: pos.turn,
+      castling: pos.castling,
+      epSquare: pos.epSquare,
+      halfmove: pos.halfmove,
+      fullmove: pos.fullmove
+    };
+  }
+
+  function toPosition(fenOrPos) {
+    return typeof fenOrPos === 'string' ? parseFen(fenOrPos) : fenOrPos;
+  }
+
+  // ── Attacks ───────────────────────────────────────────────────────────────
+
+  // Is `index` attacked by any piece of `byColor`?
+  function isSquareAttacked(pos, index, byColor) {
+    const board = pos.board;
+    const isWhite = byColor === 'w';
+
+    // Pawns: a white pawn attacks upward (towards row 0), so look one row below
+    const pawn = isWhite ? 'P' : 'p';
+    const pawnRow = isWhite ? 1 : -1;
+    for (const dCol of [-1, 1]) {
+      const sq = offsetSquare(index, pawnRow, dCol);
+      if (sq !== -1 && board[sq] === pawn) return true;
+    }
+
+    const knight = isWhite ? 'N' : 'n';
+    for (const [dr, dc] of KNIGHT_OFFSETS) {
+      const sq = offsetSquare(index, dr, dc);
+      if (sq !== -1 && board[sq] === knight) return true;
+    }
+
+    const king = isWhite ? 'K' : 'k';
+    for (const [dr, dc] of KING_OFFSETS) {
+      const sq = offsetSquare(index, dr, dc);
+      if (sq !== -1 && board[sq] === king) return true;
+    }
+
+    const bishopLike = isWhite ? ['B', 'Q'] : ['b', 'q'];
+    for (const [dr, dc] of BISHOP_DIRS) {
+      let sq = offsetSquare(index, dr, dc);
+      while (sq !== -1) {
+        const piece = board[sq];
+        if (piece) {
+          if (bishopLike.includes(piece)) return true;
+          break;
+        }
+        sq = offsetSquare(sq, dr, dc);
+      }
+    }
+
+    const rookLike = isWhite ? ['R', 'Q'] : ['r', 'q'];
+    for (const [dr, dc] of ROOK_DIRS) {
+      let sq = offsetSquare(index, dr, dc);
+      while (sq !== -1) {
+        const piece = board[sq];
+        if (piece) {
+          if (rookLike.includes(piece)) return true;
+          break;
+        }
+        sq = offsetSquare(sq, dr, dc);
+      }
+    }
+
+    return false;
+  }
+
+  function findKing(pos, color) {
+    const king = color === 'w' ? 'K' : 'k';
+    return pos.board.indexOf(king);
+  }
+
+  function isInCheck(fenOrPos, color) {
+    const pos = toPosition(fenOrPos);
+    const side = color || pos.turn;
+    const kingIndex = findKing(pos, side);
+    if (kingIndex === -1) return false;
+    return isSquareAttacked(pos, kingIndex, opposite(side));
+  }
+
+  // ── Move generation ───────────────────────────────────────────────────────
+
+  function buildMove(pos, from, to, extra = {}) {
+    const move = {
+      from: squareName(from),
+      to: squareName(to),
+      piece: pos.board[from],
+      captured: extra.captured !== undefined ? extra.captured : pos.board[to],
+      promotion: extra.promotion || null,
+      castle: extra.castle || null,
+      enPassant: !!extra.enPassant
+    };
+    move.uci = move.from + move.to + (move.promotion || '');
+    return move;
+  }
+
+  function generatePseudoMoves(pos) {
+    const moves = [];
+    const board = pos.board;
+    const us = pos.turn;
+    const them = opposite(us);
+
+    for (let from = 0; from < 64; from++) {
+      const piece = board[from];
+      if (!piece || colorOf(piece) !== us) continue;
+      const type = piece.toLowerCase();
+
+      if (type === 'p') {
+        const dir = us === 'w' ? -1 : 1;
+        const startRow = us === 'w' ? 6 : 1;
+        const promoRow = us === 'w' ? 0 : 7;
+        const row = Math.floor(from / 8);
+
+        const pushPawn = (to, extra = {}) => {
+          if (Math.floor(to / 8) === promoRow) {
+            for (const promo of PROMOTION_PIECES) {
+              moves.push(buildMove(pos, from, to, { ...extra, promotion: promo }));
+            }
+          } else {
+            moves.push(buildMove(pos, from, to, extra));
+          }
+        };
+
+        const one = offsetSquare(from, dir, 0);
+        if (one !== -1 && !board[one]) {
+          pushPawn(one);
+          const two = offsetSquare(from, dir * 2, 0);
+          if (row === startRow && !board[two]) {
+            moves.push(buildMove(pos, from, two));
+          }
+        }
+
+        const epIndex = pos.epSquare ? squareIndex(pos.epSquare) : -1;
+        for (const dCol of [-1, 1]) {
+          const to = offsetSquare(from, dir, dCol);
+          if (to === -1) continue;
+          if (board[to] && colorOf(board[to]) === them) {
+            pushPawn(to);
+          } else if (to === epIndex && !board[to]) {
+            const capturedIndex = offsetSquare(to, -dir, 0);
+            const capturedPawn = us === 'w' ? 'p' : 'P';
+            if (board[capturedIndex] === capturedPawn) {
+              moves.push(buildMove(pos, from, to, { captured: capturedPawn, enPassant: true }));
+            }
+          }
+        }
+        continue;
+      }
+
+      if (type === 'n' || type === 'k') {
+        const offsets = type === 'n' ? KNIGHT_OFFSETS : KING_OFFSETS;
+        for (const [dr, dc] of offsets) {
+          const to = offsetSquare(from, dr, dc);
+          if (to === -1) continue;
+          if (!board[to] || colorOf(board[to]) === them) {
+            moves.push(buildMove(pos, from, to));
+          }
+        }
+        continue;
+      }
+
+      const dirs = type === 'b' ? BISHOP_DIRS : type === 'r' ? ROOK_DIRS : BISHOP_DIRS.concat(ROOK_DIRS);
+      for (const [dr, dc] of dirs) {
+        let to = offsetSquare(from, dr, dc);
+        while (to !== -1) {
+          if (!board[to]) {
+            moves.push(buildMove(pos, from, to));
+          } else {
+            if (colorOf(board[to]) === them) moves.push(buildMove(pos, from, to));
+            break;
+          }
+          to = offsetSquare(to, dr, dc);
+        }
+      }
+    }
+
+    // Castling (rights are re-checked against the actual pieces, so a
+    // hand-edited FEN with stale rights can't produce a bogus castle)
+    for (const right of pos.castling || '') {
+      const info = CASTLING[right];
+      if (!info || info.color !== us) continue;
+      const kingPiece = us === 'w' ? 'K' : 'k';
+      const rookPiece = us === 'w' ? 'R' : 'r';
+      if (board[squareIndex(info.king)] !== kingPiece) continue;
+      if (board[squareIndex(info.rook)] !== rookPiece) continue;
+      if (info.empty.some(sq => board[squareIndex(sq)])) continue;
+      if (info.safe.some(sq => isSquareAttacked(pos, squareIndex(sq), them))) continue;
+      moves.push(buildMove(pos, squareIndex(info.king), squareIndex(info.kingTo), { castle: right }));
+    }
+
+    return moves;
+  }
+
+  // Apply a move (as produced by generateLegalMoves) and return a new position.
+  // Does not check legality.
+  function makeMove(fenOrPos, move) {
+    const pos = clonePosition(toPosition(fenOrPos));
+    const board = pos.board;
+    const from = squareIndex(move.from);
+    const to = squareIndex(move.to);
+    const piece = board[from];
+    const us = pos.turn;
+    const type = piece ? piece.toLowerCase() : null;
+
+    board[to] = move.promotion
+      ? (us === 'w' ? move.promotion.toUpperCase() : move.promotion.toLowerCase())
+      : piece;
+    board[from] = null;
+
+    if (move.enPassant) {
+      const capturedIndex = offsetSquare(to, us === 'w' ? 1 : -1, 0);
+      board[capturedIndex] = null;
+    }
+
+    if (move.castle) {
+      const info = CASTLING[move.castle];
+      board[squareIndex(info.rookTo)] = board[squareIndex(info.rook)];
+      board[squareIndex(info.rook)] = null;
+    }
+
+    // Castling rights: lost when the king moves or a rook leaves / is captured on its corner
+    let castling = pos.castling || '';
+    if (type === 'k') {
+      castling = castling.replace(us === 'w' ? /[KQ]/g : /[kq]/g, '');
+    }
+    for (const [right, info] of Object.entries(CASTLING)) {
+      if (move.from === info.rook || move.to === info.rook) {
+        castling = castling.replace(right, '');
+      }
+    }
+    pos.castling = castling;
+
+    // En passant square: only recorded when an enemy pawn could actually
+    // take, so transposed positions produce identical FENs
+    pos.epSquare = null;
+    if (type === 'p' && Math.abs(to - from) === 16) {
+      const epIndex = (from + to) / 2;
+      const enemyPawn = us === 'w' ? 'p' : 'P';
+      const adjacent = [offsetSquare(to, 0, -1), offsetSquare(to, 0, 1)];
+      if (adjacent.some(sq => sq !== -1 && board[sq] === enemyPawn)) {
+        pos.epSquare = squareName(epIndex);
+      }
+    }
+
+    pos.halfmove = (type === 'p' || move.captured) ? 0 : pos.halfmove + 1;
+    if (us === 'b') pos.fullmove += 1;
+    pos.turn = opposite(us);
+
+    return pos;
+  }
+
+  function generateLegalMoves(fenOrPos) {
+    const pos = toPosition(fenOrPos);
+    const us = pos.turn;
+    return generatePseudoMoves(pos).filter(move => {
+      const next = makeMove(pos, move);
+      return !isInCheck(next, us);
+    });
+  }
+
+  // Find the legal move matching a UCI string. Accepts king-takes-rook
+  // castling notation (e1h1) as well as the standard e1g1.
+  function findUciMove(fenOrPos, uci) {
+    if (typeof uci !== 'string' || !/^[a-h][1-8][a-h][1-8][qrbn]?$/i.test(uci.trim())) return null;
+    const clean = uci.trim().toLowerCase();
+    const pos = toPosition(fenOrPos);
+    const legal = generateLegalMoves(pos);
+
+    const exact = legal.find(m => m.uci === clean);
+    if (exact) return exact;
+
+    const from = clean.slice(0, 2);
+    const to = clean.slice(2, 4);
+    return legal.find(m => m.castle && m.from === from && CASTLING[m.castle].rook === to) || null;
+  }
+
+  function isLegalUci(fenOrPos, uci) {
+    try {
+      return !!findUciMove(fenOrPos, uci);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Play a UCI move on a FEN. Returns the new FEN, or null if illegal.
+  function applyUci(fen, uci) {
+    const pos = parseFen(fen);
+    const move = findUciMove(pos, uci);
+    if (!move) return null;
+    return toFen(makeMove(pos, move));
+  }
+
+  // ── Game status ───────────────────────────────────────────────────────────
+
+  function hasInsufficientMaterial(pos) {
+    const pieces = pos.board.filter(p => p && p.toLowerCase() !== 'k');
+    if (pieces.length === 0) return true;
+    if (pieces.some(p => 'pPrRqQ'.includes(p))) return false;
+    if (pieces.length === 1) return true; // lone minor piece
+
+    // Only bishops left, all on the same square colour
+    if (pieces.every(p => p.toLowerCase() === 'b')) {
+      const shades = new Set();
+      pos.board.forEach((p, i) => {
+        if (p && p.toLowerCase() === 'b') shades.add((Math.floor(i / 8) + (i % 8)) % 2);
+      });
+      return shades.size === 1;
+    }
+
+    return false;
+  }
+
+  function getGameStatus(fenOrPos) {
+    const pos = toPosition(fenOrPos);
+    const legalMoves = generateLegalMoves(pos);
+    const check = isInCheck(pos);
+    const checkmate = check && legalMoves.length === 0;
+    const stalemate = !check && legalMoves.length === 0;
+    const insufficientMaterial = hasInsufficientMaterial(pos);
+    const fiftyMove = pos.halfmove >= 100;
+
+    let result = null;
+    if (checkmate) result = pos.turn === 'w' ? '0-1' : '1-0';
+    else if (stalemate || insufficientMaterial || fiftyMove) result = '1/2-1/2';
+
+    return {
+      turn: pos.turn,
+      check,
+      checkmate,
+      stalemate,
+      insufficientMaterial,
+      fiftyMove,
+      legalMoveCount: legalMoves.length,
+      over: result !== null,
+      result
+    };
+  }
+
+  // ── Position legality ─────────────────────────────────────────────────────
+
+  // Checks the things a FEN shape check can't: the side that just moved
+  // can't be left in check, and the en passant square must make sense.
+  function validatePosition(fen) {
+    let pos;
+    try {
+      pos = parseFen(fen);
+    } catch (e) {
+      return { valid: false, error: e.message };
+    }
+
+    const whiteKing = findKing(pos, 'w');
+    const blackKing = findKing(pos, 'b');
+    if (whiteKing === -1 || blackKing === -1) {
+      return { valid: false, error: 'Both kings must be on the board' };
+    }
+
+    const kingDistance = Math.max(
+      Math.abs(Math.floor(whiteKing / 8) - Math.floor(blackKing / 8)),
+      Math.abs((whiteKing % 8) - (blackKing % 8))
+    );
+    if (kingDistance <= 1) {
+      return { valid: false, error: 'Kings cannot stand on adjacent squares' };
+    }
+
+    const sideNotToMove = opposite(pos.turn);
+    if (isInCheck(pos, sideNotToMove)) {
+      const who = sideNotToMove === 'w' ? 'White' : 'Black';
+      return { valid: false, error: `${who} is in check but it is not ${who}'s turn` };
+    }
+
+    if (pos.epSquare) {
+      const epIndex = squareIndex(pos.epSquare);
+      const expectedRank = pos.turn === 'w' ? '6' : '3';
+      const pawnIndex = offsetSquare(epIndex, pos.turn === 'w' ? 1 : -1, 0);
+      const movedPawn = pos.turn === 'w' ? 'p' : 'P';
+      if (pos.epSquare[1] !== expectedRank || pos.board[epIndex] || pos.board[pawnIndex] !== movedPawn) {
+        return { valid: false, error: `En passant square ${pos.epSquare} is impossible in this position` };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  // ── SAN ───────────────────────────────────────────────────────────────────
+
+  // Standard Algebraic Notation for a legal move in `fenOrPos`,
+  // with capture, disambiguation, promotion and check/mate markers
+  function moveToSan(fenOrPos, move) {
+    const pos = toPosition(fenOrPos);
+    let san;
+
+    if (move.castle) {
+      san = 'Kk'.includes(move.castle) ? 'O-O' : 'O-O-O';
+    } else {
+      const type = move.piece.toUpperCase();
+      const isCapture = !!move.captured;
+
+      if (type === 'P') {
+        san = isCapture ? `${move.from[0]}x${move.to}` : move.to;
+        if (move.promotion) san += `=${move.promotion.toUpperCase()}`;
+      } else {
+        // Other pieces of the same type that could also reach the target square
+        const rivals = generateLegalMoves(pos).filter(m =>
+          m.piece === move.piece && m.to === move.to && m.from !== move.from
+        );
+        let disambiguation = '';
+        if (rivals.length > 0) {
+          const sameFile = rivals.some(m => m.from[0] === move.from[0]);
+          const sameRank = rivals.some(m => m.from[1] === move.from[1]);
+          if (!sameFile) disambiguation = move.from[0];
+          else if (!sameRank) disambiguation = move.from[1];
+          else disambiguation = move.from;
+        }
+        san = `${type}${disambiguation}${isCapture ? 'x' : ''}${move.to}`;
+      }
+    }
+
+    const next = makeMove(pos, move);
+    if (isInCheck(next)) {
+      san += generateLegalMoves(next).length === 0 ? '#' : '+';
+    }
+    return san;
+  }
+
+  // SAN for a UCI move, or null if the move is illegal in the position
+  function uciToSan(fen, uci) {
+    try {
+      const pos = parseFen(fen);
+      const move = findUciMove(pos, uci);
+      return move ? moveToSan(pos, move) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Convert a UCI line to SAN, stopping at the first illegal move
+  function uciLineToSan(fen, uciMoves) {
+    const sanMoves = [];
+    let pos;
+    try {
+      pos = parseFen(fen);
+    } catch (e) {
+      return sanMoves;
+    }
+
+    for (const uci of uciMoves || []) {
+      const move = findUciMove(pos, uci);
+      if (!move) break;
+      sanMoves.push(moveToSan(pos, move));
+      pos = makeMove(pos, move);
+    }
+    return sanMoves;
+  }
+
+  // Find the legal move for a SAN token. Tolerant of the usual PGN noise:
+  // check/annotation suffixes, 0-0 castling, missing '=' or 'x', and
+  // over-specified origins like Ng1f3.
+  function sanToMove(fenOrPos, san) {
+    if (typeof san !== 'string') return null;
+    const pos = toPosition(fenOrPos);
+    const clean = san.trim().replace(/[+#!?]+$/, '').replace(/0/g, 'O');
+    const legal = generateLegalMoves(pos);
+
+    if (/^O-O(-O)?$/.test(clean)) {
+      const side = clean === 'O-O' ? 'k' : 'q';
+      return legal.find(m => m.castle && m.castle.toLowerCase() === side) || null;
+    }
+
+    const match = clean.match(/^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQnbrq]))?$/);
+    if (!match) return null;
+    const [, pieceLetter, fromFile, fromRank, to, promotion] = match;
+    const type = pieceLetter || 'P';
+
+    const candidates = legal.filter(m =>
+      m.piece.toUpperCase() === type &&
+      m.to === to &&
+      (!fromFile || m.from[0] === fromFile) &&
+      (!fromRank || m.from[1] === fromRank) &&
+      (m.promotion || null) === (promotion ? promotion.toLowerCase() : (m.promotion ? 'q' : null)) &&
+      !m.castle
+    );
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  // Book-style numbering for a SAN line starting at `fen`:
+  // "1. e4 e5 2. Nf3" or, with Black to move, "12... Nc6 13. Bb5"
+  function formatSanLine(fen, sanMoves) {
+    let turn = 'w';
+    let moveNumber = 1;
+    try {
+      const pos = parseFen(fen);
+      turn = pos.turn;
+      moveNumber = pos.fullmove;
+    } catch (e) {
+      // Fall back to numbering from move 1
+    }
+
+    const tokens = [];
+    sanMoves.forEach((san, i) => {
+      if (turn === 'w') {
+        tokens.push(`${moveNumber}. ${san}`);
+      } else {
+        tokens.push(i === 0 ? `${moveNumber}... ${san}` : san);
+        moveNumber++;
+      }
+      turn = opposite(turn);
+    });
+    return tokens.join(' ');
+  }
+
+  root.ChessRules = {
+    squareIndex,
+    squareName,
+    colorOf,
+    parseFen,
+    toFen,
+    boardToFen,
+    isSquareAttacked,
+    isInCheck,
+    generateLegalMoves,
+    makeMove,
+    findUciMove,
+    isLegalUci,
+    applyUci,
+    getGameStatus,
+    validatePosition,
+    moveToSan,
+    uciToSan,
+    uciLineToSan,
+    sanToMove,
+    formatSanLine
+  };
+})(globalThis);
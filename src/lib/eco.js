@@ -0,0 +1,61 @@
+/**
+ * Chess Study Tool - ECO opening classification
+ *
+ * Names positions from the bundled table `src/data/eco.tsv` (columns eco,
+ * name, epd), taken from the Lichess chess-openings dataset. Positions are
+ * keyed by board, side to move and castling rights, so a transposition
+ * finds the same name and an en passant square never gets in the way.
+ *
+ * Exposes a single `ChessEco` namespace on globalThis.
+ */
+
+(function (root) {
+  'use strict';
+
+  function positionKey(fen) {
+    return fen.trim().split(/\s+/).slice(0, 3).join(' ');
+  }
+
+  // TSV text -> Map(positionKey -> { eco, name }). Where two names share a
+  // position, the first in the file wins.
+  function parseTable(text) {
+    const table = new Map();
+    const lines = text.split(/\r?\n/);
+    const header = lines[0].split('\t');
+    const columns = { eco: header.indexOf('eco'), name: header.indexOf('name'), epd: header.indexOf('epd') };
+    if (Object.values(columns).includes(-1)) {
+      throw new Error('ECO table needs eco, name and epd columns');
+    }
+
+    for (const line of lines.slice(1)) {
+      if (!line) continue;
+      const fields = line.split('\t');
+      const key = positionKey(fields[columns.epd] || '');
+      if (!table.has(key)) {
+        table.set(key, { eco: fields[columns.eco], name: fields[columns.name] });
+      }
+    }
+    return table;
+  }
+
+  // The opening of a game: the deepest of `fens` (oldest first) that the
+  // table names, or null
+  function classify(table, fens) {
+    for (let i = fens.length - 1; i >= 0; i--) {
+      const opening = table.get(positionKey(fens[i]));
+      if (opening) return opening;
+    }
+    return null;
+  }
+
+  function formatOpening(opening) {
+    return opening ? `${opening.eco} ${opening.name}` : '';
+  }
+
+  root.ChessEco = {
+    positionKey,
+    parseTable,
+    classify,
+    formatOpening
+  };
+})(globalThis);
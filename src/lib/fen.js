@@ -0,0 +1,277 @@
+/**
+ * Chess Study Tool - FEN validation, normalisation and material signatures
+ *
+ * Shared by the service worker (imported as a module side effect) and the
+ * panel (classic <script>), so a FEN from a capture, a typed-in FEN and an
+ * imported puzzle are all held to the same rules. Depends on ChessRules for
+ * the legality checks.
+ *
+ * Exposes a single `ChessFen` namespace on globalThis.
+ */
+
+(function (root) {
+  'use strict';
+
+  // Validate FEN string format and position legality.
+  // options.ignoreTurn: the turn is only a guess that the caller will overwrite
+  // (e.g. with the user's colour), so accept positions legal for either side.
+  function validateFEN(fen, options = {}) {
+    if (!fen || typeof fen !== 'string') {
+      return { valid: false, error: 'FEN is empty or not a string' };
+    }
+
+    const parts = fen.trim().split(' ');
+
+    // Must have at least position and turn
+    if (parts.length < 2) {
+      return { valid: false, error: `FEN should have at least 2 parts, got ${parts.length}` };
+    }
+
+    // Validate board position (first part)
+    const board = parts[0];
+    const ranks = board.split('/');
+
+    if (ranks.length !== 8) {
+      return { valid: false, error: `Board should have 8 ranks, got ${ranks.length}` };
+    }
+
+    // Count pieces
+    let whiteKings = 0, blackKings = 0;
+    let whitePawns = 0, blackPawns = 0;
+    let whitePieces = 0, blackPieces = 0;
+
+    // Validate each rank
+    for (let i = 0; i < 8; i++) {
+      const rank = ranks[i];
+      const rankNum = 8 - i; // Rank 8 is index 0, rank 1 is index 7
+      let squares = 0;
+
+      for (const char of rank) {
+        if ('12345678'.includes(char)) {
+          squares += parseInt(char);
+        } else if ('pnbrqkPNBRQK'.includes(char)) {
+          squares += 1;
+          if (char === char.toUpperCase()) whitePieces++;
+          else blackPieces++;
+          if (char === 'K') whiteKings++;
+          if (char === 'k') blackKings++;
+          if (char === 'P') {
+            whitePawns++;
+            // Pawns can't be on rank 1 or 8
+            if (rankNum === 1 || rankNum === 8) {
+              return { valid: false, error: `White pawn on rank ${rankNum} is illegal` };
+            }
+          }
+          if (char === 'p') {
+            blackPawns++;
+            // Pawns can't be on rank 1 or 8
+            if (rankNum === 1 || rankNum === 8) {
+              return { valid: false, error: `Black pawn on rank ${rankNum} is illegal` };
+            }
+          }
+        } else {
+          return { valid: false, error: `Invalid character '${char}' in rank ${rankNum}` };
+        }
+      }
+
+      if (squares !== 8) {
+        return { valid: false, error: `Rank ${rankNum} has ${squares} squares, should have 8` };
+      }
+    }
+
+    // Must have exactly one king of each color
+    if (whiteKings !== 1) {
+      return { valid: false, error: `Must have exactly 1 white King, found ${whiteKings}` };
+    }
+    if (blackKings !== 1) {
+      return { valid: false, error: `Must have exactly 1 black King, found ${blackKings}` };
+    }
+
+    // Maximum 8 pawns per side
+    if (whitePawns > 8) {
+      return { valid: false, error: `White has ${whitePawns} pawns, maximum is 8` };
+    }
+    if (blackPawns > 8) {
+      return { valid: false, error: `Black has ${blackPawns} pawns, maximum is 8` };
+    }
+
+    // Maximum 16 pieces per side (promotions do not increase total piece count)
+    if (whitePieces > 16) {
+      return { valid: false, error: `White has ${whitePieces} pieces, maximum is 16` };
+    }
+    if (blackPieces > 16) {
+      return { valid: false, error: `Black has ${blackPieces} pieces, maximum is 16` };
+    }
+
+    // Validate turn
+    if (parts[1] && !['w', 'b'].includes(parts[1])) {
+      return { valid: false, error: `Invalid turn '${parts[1]}', should be 'w' or 'b'` };
+    }
+
+    // Shape is fine - now check the position is actually legal
+    const legality = ChessRules.validatePosition(fen);
+    if (!legality.valid) {
+      if (options.ignoreTurn) {
+        const flipped = [parts[0], parts[1] === 'b' ? 'w' : 'b', parts[2] || '-', '-'].join(' ');
+        if (ChessRules.validatePosition(flipped).valid) {
+          return { valid: true };
+        }
+      }
+      return legality;
+    }
+
+    return { valid: true };
+  }
+
+  // ── Normalisation ────────────────────────────────────────────────────────
+
+  function getFenPieceAtSquare(boardPart, square) {
+    if (!boardPart || !square || square.length !== 2) return null;
+
+    const file = square.charCodeAt(0) - 97; // a=0..h=7
+    const rank = parseInt(square[1], 10); // 1..8
+    if (file < 0 || file > 7 || rank < 1 || rank > 8) return null;
+
+    const ranks = boardPart.split('/');
+    if (ranks.length !== 8) return null;
+
+    const rankStr = ranks[8 - rank];
+    let col = 0;
+    for (const ch of rankStr) {
+      if ('12345678'.includes(ch)) {
+        col += parseInt(ch, 10);
+      } else {
+        if (col === file) return ch;
+        col += 1;
+      }
+      if (col > file) break;
+    }
+
+    return null;
+  }
+
+  // Rights a position could still have: king and rook on their squares
+  function inferCastlingRights(boardPart) {
+    const rights = [];
+
+    // White
+    if (getFenPieceAtSquare(boardPart, 'e1') === 'K') {
+      if (getFenPieceAtSquare(boardPart, 'h1') === 'R') rights.push('K');
+      if (getFenPieceAtSquare(boardPart, 'a1') === 'R') rights.push('Q');
+    }
+
+    // Black
+    if (getFenPieceAtSquare(boardPart, 'e8') === 'k') {
+      if (getFenPieceAtSquare(boardPart, 'h8') === 'r') rights.push('k');
+      if (getFenPieceAtSquare(boardPart, 'a8') === 'r') rights.push('q');
+    }
+
+    return rights.length ? rights.join('') : '-';
+  }
+
+  // Ensure FEN has all 6 fields with valid values. Used for every FEN the
+  // service worker analyses and for the panel's repertoire keys.
+  function normalizeFEN(fen, options = {}) {
+    if (!fen || typeof fen !== 'string') return '';
+
+    const inferCastlingWhenMissing = options.inferCastlingWhenMissing !== false;
+    const parts = fen.trim().split(/\s+/).filter(Boolean);
+    if (parts.length === 0) return '';
+
+    // Default values for missing or invalid parts
+    const position = parts[0];
+    const turn = ['w', 'b'].includes(parts[1]) ? parts[1] : 'w';
+
+    // Castling:
+    // - If missing entirely, optionally infer from kings/rooks on starting squares
+    // - If present, validate or default to '-'
+    let castling = '-';
+    const hasCastlingField = parts.length >= 3;
+    if (hasCastlingField) {
+      if (parts[2] && parts[2] !== '-') {
+        const validCastling = parts[2].split('').filter(c => 'KQkq'.includes(c)).join('');
+        castling = validCastling || '-';
+      } else {
+        castling = '-';
+      }
+    } else if (inferCastlingWhenMissing) {
+      castling = inferCastlingRights(position);
+    }
+
+    // En passant - validate or default to '-'
+    let enPassant = '-';
+    if (parts[3] && /^[a-h][36]$/.test(parts[3])) {
+      enPassant = parts[3];
+    }
+
+    // Move counters - ensure they're valid numbers
+    const halfmove = /^\d+$/.test(parts[4]) ? parts[4] : '0';
+    const fullmove = /^\d+$/.test(parts[5]) ? parts[5] : '1';
+
+    return `${position} ${turn} ${castling} ${enPassant} ${halfmove} ${fullmove}`;
+  }
+
+  // ── Material signatures ──────────────────────────────────────────────────
+  // "R+P vs R": White's pieces, then Black's, strongest first, kings left
+  // out. Counts above one are a prefix ("2R+3P"); a bare king is "K".
+
+  const SIGNATURE_ORDER = ['Q', 'R', 'B', 'N', 'P'];
+
+  function sideSignature(counts) {
+    const parts = SIGNATURE_ORDER
+      .filter(piece => counts[piece] > 0)
+      .map(piece => (counts[piece] > 1 ? counts[piece] : '') + piece);
+    return parts.length ? parts.join('+') : 'K';
+  }
+
+  function materialSignature(fen) {
+    const white = {};
+    const black = {};
+    for (const ch of fen.split(' ')[0]) {
+      const piece = ch.toUpperCase();
+      if (!SIGNATURE_ORDER.includes(piece)) continue;
+      const side = ch === piece ? white : black;
+      side[piece] = (side[piece] || 0) + 1;
+    }
+    return `${sideSignature(white)} vs ${sideSignature(black)}`;
+  }
+
+  // One side as typed ("R+P", "RP", "r + 2p", "K") -> canonical, or null
+  function parseSide(text) {
+    const counts = {};
+    const tokens = text.toUpperCase().split(/[\s+]+/).filter(Boolean);
+    for (const token of tokens) {
+      const match = token.match(/^(\d*)([KQRBNP]+)$/);
+      if (!match) return null;
+      const repeat = match[1] ? parseInt(match[1], 10) : 1;
+      for (const piece of match[2]) {
+        if (piece !== 'K') counts[piece] = (counts[piece] || 0) + repeat;
+      }
+    }
+    return sideSignature(counts);
+  }
+
+  // "R+P vs R" -> canonical signature, or null if the text isn't one
+  function parseMaterialQuery(text) {
+    const sides = String(text || '').split(/\s+vs\.?\s+/i);
+    if (sides.length !== 2) return null;
+    const [white, black] = sides.map(parseSide);
+    return white && black ? `${white} vs ${black}` : null;
+  }
+
+  // Either side may have the material in the query
+  function matchesMaterial(signature, query) {
+    if (signature === query) return true;
+    const [white, black] = query.split(' vs ');
+    return signature === `${black} vs ${white}`;
+  }
+
+  root.ChessFen = {
+    validateFEN,
+    normalizeFEN,
+    inferCastlingRights,
+    materialSignature,
+    parseMaterialQuery,
+    matchesMaterial
+  };
+})(globalThis);
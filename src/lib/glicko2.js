@@ -0,0 +1,115 @@
+/**
+ * Chess Study Tool - Glicko-2
+ *
+ * Rating updates as described in Mark Glickman's "Example of the Glicko-2
+ * system" (glicko.net/glicko/glicko2.pdf). Used for the personal puzzle
+ * rating, where every attempt is its own rating period.
+ *
+ * Exposes a single `Glicko2` namespace on globalThis.
+ *
+ * Ratings are { rating, rd, vol } on the Glicko scale (1500 / 350 / 0.06
+ * for a newcomer). Results are { rating, rd, score } with score 1 for a win,
+ * 0.5 for a draw and 0 for a loss.
+ */
+
+(function (root) {
+  'use strict';
+
+  const SCALE = 173.7178;
+  const DEFAULT_RATING = { rating: 1500, rd: 350, vol: 0.06 };
+  // System constant: how much volatility may change (Glickman suggests 0.3-1.2)
+  const DEFAULT_TAU = 0.5;
+  const CONVERGENCE = 0.000001;
+  const MIN_RD = 30;
+  const MAX_RD = 350;
+
+  function g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+  }
+
+  function expectedScore(mu, muJ, phiJ) {
+    return 1 / (1 + Math.exp(-g(phiJ) * (mu - muJ)));
+  }
+
+  // Step 5: new volatility by the Illinois algorithm
+  function newVolatility(phi, sigma, delta, v, tau) {
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+      const ex = Math.exp(x);
+      const d = phi * phi + v + ex;
+      return (ex * (delta * delta - d)) / (2 * d * d) - (x - a) / (tau * tau);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+      B = Math.log(delta * delta - phi * phi - v);
+    } else {
+      let k = 1;
+      while (f(a - k * tau) < 0) k++;
+      B = a - k * tau;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE) {
+      const C = A + (A - B) * fA / (fB - fA);
+      const fC = f(C);
+      if (fC * fB <= 0) {
+        A = B;
+        fA = fB;
+      } else {
+        fA /= 2;
+      }
+      B = C;
+      fB = fC;
+    }
+    return Math.exp(A / 2);
+  }
+
+  // One rating period: `player` against every entry of `results`
+  function rate(player, results, tau = DEFAULT_TAU) {
+    const mu = (player.rating - 1500) / SCALE;
+    const phi = player.rd / SCALE;
+    const sigma = player.vol;
+
+    // No games: only the deviation grows
+    if (!results || results.length === 0) {
+      const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+      return { rating: player.rating, rd: Math.min(phiStar * SCALE, MAX_RD), vol: sigma };
+    }
+
+    const opponents = results.map(r => ({
+      mu: (r.rating - 1500) / SCALE,
+      phi: r.rd / SCALE,
+      score: r.score
+    }));
+
+    let vInverse = 0;
+    let deltaSum = 0;
+    for (const o of opponents) {
+      const E = expectedScore(mu, o.mu, o.phi);
+      const gPhi = g(o.phi);
+      vInverse += gPhi * gPhi * E * (1 - E);
+      deltaSum += gPhi * (o.score - E);
+    }
+    const v = 1 / vInverse;
+    const delta = v * deltaSum;
+
+    const sigmaNew = newVolatility(phi, sigma, delta, v, tau);
+    const phiStar = Math.sqrt(phi * phi + sigmaNew * sigmaNew);
+    const phiNew = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const muNew = mu + phiNew * phiNew * deltaSum;
+
+    return {
+      rating: muNew * SCALE + 1500,
+      rd: Math.min(Math.max(phiNew * SCALE, MIN_RD), MAX_RD),
+      vol: sigmaNew
+    };
+  }
+
+  root.Glicko2 = {
+    DEFAULT_RATING,
+    rate
+  };
+})(globalThis);
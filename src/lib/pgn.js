@@ -0,0 +1,443 @@
+/**
+ * Chess Study Tool - PGN
+ *
+ * Parses PGN text (single games or whole collections) into move trees and
+ * writes move trees back out as PGN. Handles tag pairs, {comments}, ;line
+ * comments, NAGs ($n and !? style suffixes) and nested (variations).
+ * Depends on ChessRules for SAN.
+ *
+ * Exposes a single `ChessPgn` namespace on globalThis.
+ *
+ * Tree shape (shared with the panel's game viewer):
+ *   root: { id, fen, ply: 0, children, comments }
+ *   node: { id, parent, fen, ply, san, uci, from, to, nags, comments, children }
+ * children[0] is the main line; children[1..] are variations.
+ */
+
+(function (root) {
+  'use strict';
+
+  const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+  const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+  // Suffix annotations map onto their standard NAG numbers
+  const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+
+  const NAG_SYMBOLS = {
+    1: '!', 2: '?', 3: '!!', 4: '??', 5: '!?', 6: '?!',
+    7: '□', 10: '=', 13: '∞', 14: '⩲', 15: '⩱',
+    16: '±', 17: '∓', 18: '+−', 19: '−+',
+    22: '⨀', 23: '⨀', 32: '⟳', 33: '⟳',
+    36: '→', 37: '→', 40: '↑', 41: '↑',
+    132: '⇆', 133: '⇆', 138: '⊕', 139: '⊕',
+    140: '∆', 146: 'N'
+  };
+
+  let nextNodeId = 1;
+
+  function createRoot(fen) {
+    return { id: nextNodeId++, parent: null, fen, ply: 0, children: [], comments: [], nags: [] };
+  }
+
+  function addChild(parent, move, san) {
+    const pos = ChessRules.makeMove(parent.fen, move);
+    const node = {
+      id: nextNodeId++,
+      parent,
+      fen: ChessRules.toFen(pos),
+      ply: parent.ply + 1,
+      san,
+      uci: move.uci,
+      from: move.from,
+      to: move.to,
+      nags: [],
+      comments: [],
+      children: []
+    };
+    parent.children.push(node);
+    return node;
+  }
+
+  // Play a UCI move from `parent`, reusing an existing child for the same move.
+  // Returns null if the move isn't legal there.
+  function addUciMove(parent, uci) {
+    const existing = parent.children.find(child => child.uci === uci);
+    if (existing) return existing;
+    const move = ChessRules.findUciMove(parent.fen, uci);
+    if (!move) return null;
+    return addChild(parent, move, ChessRules.moveToSan(parent.fen, move));
+  }
+
+  // ── Tokenizer ─────────────────────────────────────────────────────────────
+
+  function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    let lineStart = true;
+
+    while (i < text.length) {
+      const ch = text[i];
+
+      // '%' at the start of a line escapes the whole line
+      if (lineStart && ch === '%') {
+        while (i < text.length && text[i] !== '\n') i++;
+        continue;
+      }
+
+      if (ch === '\n') { lineStart = true; i++; continue; }
+      lineStart = false;
+
+      if (/\s/.test(ch)) { i++; continue; }
+
+      if (ch === '[') {
+        const end = text.indexOf(']', i);
+        const body = text.slice(i + 1, end === -1 ? text.length : end);
+        const match = body.match(/^\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*$/);
+        if (match) {
+          tokens.push({ type: 'tag', name: match[1], value: match[2].replace(/\\(.)/g, '$1') });
+        }
+        i = end === -1 ? text.length : end + 1;
+        continue;
+      }
+
+      if (ch === '{') {
+        const end = text.indexOf('}', i);
+        tokens.push({ type: 'comment', value: text.slice(i + 1, end === -1 ? text.length : end).trim() });
+        i = end === -1 ? text.length : end + 1;
+        continue;
+      }
+
+      if (ch === ';') {
+        const end = text.indexOf('\n', i);
+        tokens.push({ type: 'comment', value: text.slice(i + 1, end === -1 ? text.length : end).trim() });
+        i = end === -1 ? text.length : end;
+        continue;
+      }
+
+      if (ch === '(' || ch === ')') {
+        tokens.push({ type: ch });
+        i++;
+        continue;
+      }
+
+      if (ch === '$') {
+        const match = text.slice(i).match(/^\$(\d+)/);
+        if (match) {
+          tokens.push({ type: 'nag', value: parseInt(match[1], 10) });
+          i += match[0].length;
+          continue;
+        }
+        i++;
+        continue;
+      }
+
+      // Plain symbol: SAN, move number, result or suffix annotation
+      const match = text.slice(i).match(/^[^\s{}()[\];$]+/);
+      const word = match[0];
+      i += word.length;
+
+      if (RESULTS.includes(word)) {
+        tokens.push({ type: 'result', value: word });
+        continue;
+      }
+
+      // Strip leading move numbers ("12." / "12..." / "12...Nf3")
+      const stripped = word.replace(/^\d+\.*/, '');
+      if (!stripped) continue;
+
+      if (SUFFIX_NAGS[stripped]) {
+        tokens.push({ type: 'nag', value: SUFFIX_NAGS[stripped] });
+        continue;
+      }
+
+      const suffix = stripped.match(/(!!|\?\?|!\?|\?!|!|\?)$/);
+      const san = suffix ? stripped.slice(0, -suffix[0].length) : stripped;
+      tokens.push({ type: 'san', value: san });
+      if (suffix) tokens.push({ type: 'nag', value: SUFFIX_NAGS[suffix[0]] });
+    }
+
+    return tokens;
+  }
+
+  // ── Parser ────────────────────────────────────────────────────────────────
+
+  // Parse a PGN string into an array of games:
+  //   { headers, startFen, root, result, error }
+  // A game with an illegal or unreadable move keeps the moves parsed so far
+  // and reports the problem in `error`, so one bad game doesn't sink a collection.
+  function parsePgn(text) {
+    const tokens = tokenize(String(text || '').replace(/\r\n?/g, '\n'));
+    const games = [];
+    let game = null;
+    let current = null;
+    let stack = [];
+    let skipUntilResult = false;
+
+    const finishGame = () => {
+      if (game && (game.root.children.length || Object.keys(game.headers).length)) {
+        games.push(game);
+      }
+      game = null;
+      current = null;
+      stack = [];
+      skipUntilResult = false;
+    };
+
+    const ensureGame = () => {
+      if (!game) {
+        game = { headers: {}, startFen: START_FEN, root: null, result: '*', error: null };
+      }
+      if (!game.root) {
+        const setupFen = game.headers.FEN;
+        game.startFen = setupFen ? setupFen.trim() : START_FEN;
+        game.root = createRoot(game.startFen);
+        current = game.root;
+      }
+    };
+
+    for (const token of tokens) {
+      if (token.type === 'tag') {
+        // A tag after movetext starts the next game (missing result token)
+        if (game && game.root) finishGame();
+        if (!game) game = { headers: {}, startFen: START_FEN, root: null, result: '*', error: null };
+        game.headers[token.name] = token.value;
+        continue;
+      }
+
+      if (token.type === 'result') {
+        ensureGame();
+        game.result = token.value;
+        finishGame();
+        continue;
+      }
+
+      ensureGame();
+      if (skipUntilResult) continue;
+
+      if (token.type === 'comment') {
+        current.comments.push(token.value);
+      } else if (token.type === 'nag') {
+        if (current !== game.root) current.nags.push(token.value);
+      } else if (token.type === '(') {
+        // A variation replaces the last move played
+        if (current === game.root || !current.parent) {
+          game.error = 'Variation before any move';
+          skipUntilResult = true;
+          continue;
+        }
+        stack.push(current);
+        current = current.parent;
+      } else if (token.type === ')') {
+        if (stack.length) current = stack.pop();
+      } else if (token.type === 'san') {
+        let move = null;
+        try {
+          move = ChessRules.sanToMove(current.fen, token.value);
+        } catch (e) {
+          game.error = `Bad position before '${token.value}': ${e.message}`;
+          skipUntilResult = true;
+          continue;
+        }
+        if (!move) {
+          const moveNo = Math.floor(current.ply / 2) + 1;
+          game.error = `Illegal or ambiguous move '${token.value}' at move ${moveNo}`;
+          skipUntilResult = true;
+          continue;
+        }
+        const existing = current.children.find(child => child.uci === move.uci);
+        current = existing || addChild(current, move, ChessRules.moveToSan(current.fen, move));
+      }
+    }
+
+    finishGame();
+
+    for (const g of games) {
+      if (g.headers.Result && RESULTS.includes(g.headers.Result) && g.result === '*') {
+        g.result = g.headers.Result;
+      }
+    }
+
+    return games;
+  }
+
+  // ── Tree helpers ──────────────────────────────────────────────────────────
+
+  // Nodes along the main line, excluding the root
+  function mainLine(rootNode) {
+    const nodes = [];
+    let node = rootNode.children[0];
+    while (node) {
+      nodes.push(node);
+      node = node.children[0];
+    }
+    return nodes;
+  }
+
+  // Every node in the tree keyed by id
+  function indexNodes(rootNode) {
+    const byId = new Map();
+    const walk = (node) => {
+      byId.set(node.id, node);
+      node.children.forEach(walk);
+    };
+    walk(rootNode);
+    return byId;
+  }
+
+  // Move the variation containing `node` one level up: at the nearest branch
+  // point where it isn't the main continuation, swap it into children[0].
+  // Returns false when the node is already on the main line.
+  function promoteVariation(node) {
+    let child = node;
+    while (child.parent) {
+      const siblings = child.parent.children;
+      const index = siblings.indexOf(child);
+      if (index > 0) {
+        siblings.splice(index, 1);
+        siblings.unshift(child);
+        return true;
+      }
+      child = child.parent;
+    }
+    return false;
+  }
+
+  // Remove `node` and everything after it; returns the parent
+  function deleteNode(node) {
+    if (!node.parent) return null;
+    const siblings = node.parent.children;
+    const index = siblings.indexOf(node);
+    if (index !== -1) siblings.splice(index, 1);
+    return node.parent;
+  }
+
+  // Move-number prefix for a node: "12." for White, "12..." for Black
+  function moveNumberLabel(node) {
+    const parentFen = node.parent ? node.parent.fen : node.fen;
+    const parts = parentFen.split(' ');
+    const fullmove = parseInt(parts[5], 10) || 1;
+    return parts[1] === 'b' ? `${fullmove}...` : `${fullmove}.`;
+  }
+
+  // ── Writer ────────────────────────────────────────────────────────────────
+
+  // The Seven Tag Roster always comes first, in this order
+  const ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+  const ROSTER_DEFAULTS = { Event: '?', Site: '?', Date: '????.??.??', Round: '?', White: '?', Black: '?' };
+
+  function escapeTag(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  }
+
+  function pgnDate(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+  }
+
+  // Engine evaluation as a %eval command: pawns ("0.35") or mate ("#-3"),
+  // always from White's point of view
+  function evalComment(evaluation, depth) {
+    let value;
+    if (typeof evaluation === 'string' && /^M-?\d+$/.test(evaluation)) {
+      value = `#${evaluation.slice(1)}`;
+    } else if (typeof evaluation === 'number' && Number.isFinite(evaluation)) {
+      value = evaluation.toFixed(2);
+    } else {
+      return null;
+    }
+    return depth ? `[%eval ${value},${depth}]` : `[%eval ${value}]`;
+  }
+
+  function writeNode(node, out, forceNumber) {
+    const whiteMove = (node.parent?.fen || node.fen).split(' ')[1] !== 'b';
+    out.push(whiteMove || forceNumber ? `${moveNumberLabel(node)} ${node.san}` : node.san);
+    for (const nag of node.nags) out.push(`$${nag}`);
+    for (const comment of node.comments) out.push(`{${comment.replace(/}/g, ')')}}`);
+  }
+
+  // Main continuation of `parent`, with its alternatives as (variations)
+  function writeLine(parent, out, forceNumber) {
+    let needNumber = forceNumber;
+    while (parent.children.length) {
+      const [main, ...alternatives] = parent.children;
+      writeNode(main, out, needNumber);
+      needNumber = main.comments.length > 0;
+      for (const alt of alternatives) {
+        out.push('(');
+        writeNode(alt, out, true);
+        writeLine(alt, out, alt.comments.length > 0);
+        out.push(')');
+        needNumber = true;
+      }
+      parent = main;
+    }
+  }
+
+  // Join tokens into lines of at most `width` characters (export format).
+  // Tokens are never split, so a {[%eval]} comment stays on one line.
+  function wrapTokens(tokens, width = 80) {
+    const lines = [];
+    let line = '';
+    let previous = null;
+    for (const token of tokens) {
+      const glued = previous === '(' || token === ')';
+      if (line && !glued && line.length + 1 + token.length > width) {
+        lines.push(line);
+        line = token;
+      } else {
+        line = line && !glued ? `${line} ${token}` : line + token;
+      }
+      previous = token;
+    }
+    if (line) lines.push(line);
+    return lines.join('\n');
+  }
+
+  // Write a game { headers, startFen, root, result } as PGN text.
+  // Non-standard start positions get SetUp/FEN tags automatically.
+  function writePgn(game) {
+    const result = RESULTS.includes(game.result) ? game.result : '*';
+    const headers = { ...ROSTER_DEFAULTS, ...game.headers, Result: result };
+    const startFen = game.startFen || game.root.fen;
+    if (startFen !== START_FEN) {
+      headers.SetUp = '1';
+      headers.FEN = startFen;
+    }
+
+    const names = [...ROSTER, ...Object.keys(headers).filter(name => !ROSTER.includes(name))];
+    const tagLines = names.map(name => `[${name} "${escapeTag(headers[name])}"]`);
+
+    const tokens = [];
+    for (const comment of game.root.comments || []) tokens.push(`{${comment.replace(/}/g, ')')}}`);
+    writeLine(game.root, tokens, true);
+    tokens.push(result);
+
+    return `${tagLines.join('\n')}\n\n${wrapTokens(tokens)}\n`;
+  }
+
+  function gameTitle(game) {
+    const h = game.headers;
+    const white = h.White || '?';
+    const black = h.Black || '?';
+    const extra = [h.Event, h.Date].filter(v => v && v !== '?' && !/^\?+(\.\?+)*$/.test(v)).join(', ');
+    return `${white} – ${black} (${game.result})${extra ? ` · ${extra}` : ''}`;
+  }
+
+  root.ChessPgn = {
+    START_FEN,
+    NAG_SYMBOLS,
+    createRoot,
+    addUciMove,
+    parsePgn,
+    writePgn,
+    evalComment,
+    pgnDate,
+    mainLine,
+    indexNodes,
+    promoteVariation,
+    deleteNode,
+    moveNumberLabel,
+    gameTitle
+  };
+})(globalThis);
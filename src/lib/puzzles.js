@@ -0,0 +1,130 @@
+/**
+ * Chess Study Tool - Puzzle records
+ *
+ * Turns rows of the Lichess open puzzle database (database.lichess.org,
+ * the decompressed CSV) into records for the local puzzle store, and
+ * records into puzzles for the panel's trainer. Depends on ChessRules and
+ * ChessFen.
+ *
+ * Exposes a single `ChessPuzzles` namespace on globalThis.
+ *
+ * Record shape (StudyDb 'puzzles' store):
+ *   { id, fen, moves, rating, ratingDeviation, themes, source }
+ * As in the Lichess file, `fen` is the position before the opponent's move:
+ * moves[0] is that move and moves[1..] are the solution.
+ */
+
+(function (root) {
+  'use strict';
+
+  // Column order for files without a header row
+  const LICHESS_COLUMNS = [
+    'PuzzleId', 'FEN', 'Moves', 'Rating', 'RatingDeviation',
+    'Popularity', 'NbPlays', 'Themes', 'GameUrl', 'OpeningTags'
+  ];
+  const REQUIRED_COLUMNS = ['PuzzleId', 'FEN', 'Moves', 'Rating', 'Themes'];
+  const OPTIONAL_COLUMNS = ['RatingDeviation'];
+  // A typical Lichess puzzle deviation, for files without that column
+  const DEFAULT_RATING_DEVIATION = 80;
+
+  // One CSV line -> fields. Lichess doesn't quote fields, but other exports
+  // of the same columns might.
+  function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        fields.push(field);
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    fields.push(field);
+    return fields;
+  }
+
+  // Column positions from the first line: its header if it has one, else the
+  // Lichess order. Returns { columns: { name: index }, isHeader }.
+  function readColumns(firstLine) {
+    const fields = splitCsvLine(firstLine).map(field => field.trim());
+    const isHeader = fields.includes('PuzzleId');
+    const names = isHeader ? fields : LICHESS_COLUMNS;
+    const missing = REQUIRED_COLUMNS.filter(name => !names.includes(name));
+    if (missing.length > 0) {
+      throw new Error(`Puzzle CSV has no ${missing.join(', ')} column`);
+    }
+    const columns = {};
+    [...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS].forEach(name => {
+      if (names.includes(name)) columns[name] = names.indexOf(name);
+    });
+    return { columns, isHeader };
+  }
+
+  // One data row -> { record } or { error }. The FEN has to pass
+  // validateFEN and every move has to be legal.
+  function parseRow(line, columns) {
+    const fields = splitCsvLine(line);
+    const get = (name) => (columns[name] === undefined ? '' : fields[columns[name]] || '').trim();
+
+    const id = get('PuzzleId');
+    const fen = get('FEN');
+    const moves = get('Moves').split(/\s+/).filter(Boolean);
+    const rating = parseInt(get('Rating'), 10);
+    const themes = get('Themes').split(/\s+/).filter(Boolean);
+    const ratingDeviation = parseInt(get('RatingDeviation'), 10) || DEFAULT_RATING_DEVIATION;
+
+    if (!id) return { error: 'Row without a PuzzleId' };
+    const validation = ChessFen.validateFEN(fen);
+    if (!validation.valid) return { error: `${id}: ${validation.error}` };
+    if (moves.length < 2) return { error: `${id}: needs the opponent's move and a solution` };
+    if (!Number.isFinite(rating)) return { error: `${id}: rating '${get('Rating')}' is not a number` };
+
+    let position = fen;
+    for (const uci of moves) {
+      position = ChessRules.applyUci(position, uci);
+      if (!position) return { error: `${id}: illegal move ${uci}` };
+    }
+
+    return { record: { id, fen, moves, rating, ratingDeviation, themes, source: 'lichess' } };
+  }
+
+  // Record -> trainer puzzle. The opponent's move is played first and shown
+  // as the last move. `rated` carries what the puzzle rating needs.
+  function toTrainerPuzzle(record) {
+    const [setup, ...solution] = record.moves;
+    const themes = record.themes.length ? ` · ${record.themes.join(', ')}` : '';
+    return {
+      fen: ChessRules.applyUci(record.fen, setup),
+      lastMove: { from: setup.slice(0, 2), to: setup.slice(2, 4) },
+      solution,
+      title: `Lichess puzzle ${record.id} · ${record.rating}${themes}`,
+      rated: {
+        id: record.id,
+        rating: record.rating,
+        rd: record.ratingDeviation || DEFAULT_RATING_DEVIATION,
+        themes: record.themes
+      }
+    };
+  }
+
+  root.ChessPuzzles = {
+    splitCsvLine,
+    readColumns,
+    parseRow,
+    toTrainerPuzzle
+  };
+})(globalThis);
@@ -0,0 +1,50 @@
+/**
+ * Chess Study Tool - SM-2 scheduling
+ *
+ * The SuperMemo 2 algorithm (Piotr Wozniak, 1987), used for the review
+ * cards: every answer is graded 0-5 and decides when the card comes back.
+ *
+ * Exposes a single `Sm2` namespace on globalThis.
+ *
+ * Schedule fields, kept on the card itself:
+ *   { ease, interval, reps, lapses, due, lastReview }
+ * `interval` is in days, `due` and `lastReview` are epoch milliseconds.
+ */
+
+(function (root) {
+  'use strict';
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const INITIAL_EASE = 2.5;
+  const MIN_EASE = 1.3;
+  // Grades below this are a lapse: the card starts over
+  const PASSING_GRADE = 3;
+
+  // A new card is due straight away
+  function newSchedule(now = Date.now()) {
+    return { ease: INITIAL_EASE, interval: 0, reps: 0, lapses: 0, due: now, lastReview: null };
+  }
+
+  // The card after one answer graded 0 (blackout) to 5 (perfect)
+  function review(card, grade, now = Date.now()) {
+    let { ease = INITIAL_EASE, interval = 0, reps = 0, lapses = 0 } = card;
+
+    if (grade < PASSING_GRADE) {
+      reps = 0;
+      interval = 1;
+      lapses++;
+    } else {
+      reps++;
+      interval = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(interval * ease);
+    }
+    ease = Math.max(MIN_EASE, ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+
+    return { ...card, ease, interval, reps, lapses, due: now + interval * DAY_MS, lastReview: now };
+  }
+
+  root.Sm2 = {
+    DAY_MS,
+    newSchedule,
+    review
+  };
+})(globalThis);
@@ -0,0 +1,285 @@
+/**
+ * Chess Study Tool - Local study database
+ *
+ * The IndexedDB database `chess-study` keeps study material on this device,
+ * so it works offline. The panel and the service worker share it because
+ * they have the same origin.
+ *
+ * Stores (version 5):
+ *   puzzles  keyPath 'id'; indexes 'rating', 'themes' (multiEntry)
+ *            records from ChessPuzzles
+ *   cards    keyPath 'id'; index 'due'
+ *            review cards: { id, fen, move, san, created } plus the
+ *            Sm2 schedule fields (added in version 2)
+ *   positions keyPath 'id'; indexes 'analysedAt', 'tags' (multiEntry)
+ *            the position library: { id, fen, source, engine, lines,
+ *            material, opening, analysedAt, created, tags, notes }
+ *            (version 3)
+ *   books    keyPath 'name'
+ *            Polyglot opening books: { name, size, added, data: Blob }
+ *            (version 4)
+ *   repertoire keyPath 'id'; index 'color'
+ *            opening repertoire positions: { id, color, key, fen, moves:
+ *            [{ uci, san }], added }; positions where `color` is to move
+ *            also carry the Sm2 schedule fields (version 5)
+ *
+ * Exposes a single `StudyDb` namespace on globalThis.
+ */
+
+(function (root) {
+  'use strict';
+
+  const DB_NAME = 'chess-study';
+  const DB_VERSION = 5;
+
+  let dbPromise = null;
+
+  function open() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const puzzles = db.createObjectStore('puzzles', { keyPath: 'id' });
+          puzzles.createIndex('rating', 'rating');
+          puzzles.createIndex('themes', 'themes', { multiEntry: true });
+        }
+        if (event.oldVersion < 2) {
+          const cards = db.createObjectStore('cards', { keyPath: 'id' });
+          cards.createIndex('due', 'due');
+        }
+        if (event.oldVersion < 3) {
+          const positions = db.createObjectStore('positions', { keyPath: 'id' });
+          positions.createIndex('analysedAt', 'analysedAt');
+          positions.createIndex('tags', 'tags', { multiEntry: true });
+        }
+        if (event.oldVersion < 4) {
+          db.createObjectStore('books', { keyPath: 'name' });
+        }
+        if (event.oldVersion < 5) {
+          const repertoire = db.createObjectStore('repertoire', { keyPath: 'id' });
+          repertoire.createIndex('color', 'color');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+    return dbPromise;
+  }
+
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Run `fn(store)` in one transaction; resolves with its result once the
+  // transaction has committed
+  async function withStore(name, mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(name, mode);
+      let result;
+      Promise.resolve(fn(tx.objectStore(name))).then(value => { result = value; }, (error) => {
+        tx.abort();
+        reject(error);
+      });
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Unique keys of an index, sorted - for a multiEntry index, every value
+  // that occurs
+  function uniqueIndexKeys(storeName, indexName) {
+    return withStore(storeName, 'readonly', store => new Promise((resolve, reject) => {
+      const keys = [];
+      const request = store.index(indexName).openKeyCursor(null, 'nextunique');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(keys);
+          return;
+        }
+        keys.push(cursor.key);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  // ── Puzzles ───────────────────────────────────────────────────────────────
+
+  // Insert or replace; a re-import of the same file updates in place
+  function putPuzzles(records) {
+    return withStore('puzzles', 'readwrite', (store) => {
+      records.forEach(record => store.put(record));
+    });
+  }
+
+  function getPuzzle(id) {
+    return withStore('puzzles', 'readonly', store => promisify(store.get(id)));
+  }
+
+  function countPuzzles() {
+    return withStore('puzzles', 'readonly', store => promisify(store.count()));
+  }
+
+  function clearPuzzles() {
+    return withStore('puzzles', 'readwrite', store => promisify(store.clear()));
+  }
+
+  // Every theme that occurs, sorted
+  function listPuzzleThemes() {
+    return uniqueIndexKeys('puzzles', 'themes');
+  }
+
+  // Ids of the puzzles with `theme` (any if empty) rated minRating..maxRating
+  function findPuzzleIds({ theme = '', minRating = 0, maxRating = Infinity } = {}) {
+    return withStore('puzzles', 'readonly', async (store) => {
+      if (!theme) {
+        return promisify(store.index('rating').getAllKeys(IDBKeyRange.bound(minRating, maxRating)));
+      }
+      const withTheme = await promisify(store.index('themes').getAll(theme));
+      return withTheme.filter(p => p.rating >= minRating && p.rating <= maxRating).map(p => p.id);
+    });
+  }
+
+  // ── Review cards ──────────────────────────────────────────────────────────
+
+  function putCard(card) {
+    return withStore('cards', 'readwrite', store => promisify(store.put(card)));
+  }
+
+  function getCard(id) {
+    return withStore('cards', 'readonly', store => promisify(store.get(id)));
+  }
+
+  function countCards() {
+    return withStore('cards', 'readonly', store => promisify(store.count()));
+  }
+
+  function deleteCard(id) {
+    return withStore('cards', 'readwrite', store => promisify(store.delete(id)));
+  }
+
+  // Cards due at `now`, most overdue first
+  function findDueCards(now = Date.now()) {
+    return withStore('cards', 'readonly', store => promisify(store.index('due').getAll(IDBKeyRange.upperBound(now))));
+  }
+
+  // The card due soonest, due or not (undefined when there are none)
+  function nextDueCard() {
+    return withStore('cards', 'readonly', store => new Promise((resolve, reject) => {
+      const request = store.index('due').openCursor();
+      request.onsuccess = () => resolve(request.result?.value);
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  // ── Position library ──────────────────────────────────────────────────────
+
+  function putPosition(entry) {
+    return withStore('positions', 'readwrite', store => promisify(store.put(entry)));
+  }
+
+  function getPosition(id) {
+    return withStore('positions', 'readonly', store => promisify(store.get(id)));
+  }
+
+  function deletePosition(id) {
+    return withStore('positions', 'readwrite', store => promisify(store.delete(id)));
+  }
+
+  // Every entry, most recently analysed first
+  function listPositions() {
+    return withStore('positions', 'readonly', async (store) => {
+      const entries = await promisify(store.index('analysedAt').getAll());
+      return entries.reverse();
+    });
+  }
+
+  // Every tag in use, sorted
+  function listPositionTags() {
+    return uniqueIndexKeys('positions', 'tags');
+  }
+
+  // ── Opening books ─────────────────────────────────────────────────────────
+
+  // A book of the same name is replaced
+  function putBook(book) {
+    return withStore('books', 'readwrite', store => promisify(store.put(book)));
+  }
+
+  // Every book, by name; `data` is a Blob, read lazily
+  function listBooks() {
+    return withStore('books', 'readonly', store => promisify(store.getAll()));
+  }
+
+  function deleteBook(name) {
+    return withStore('books', 'readwrite', store => promisify(store.delete(name)));
+  }
+
+  // ── Opening repertoire ────────────────────────────────────────────────────
+
+  function putRepertoireNodes(nodes) {
+    return withStore('repertoire', 'readwrite', (store) => {
+      nodes.forEach(node => store.put(node));
+    });
+  }
+
+  // Every position of one side's repertoire ('w' or 'b')
+  function listRepertoire(color) {
+    return withStore('repertoire', 'readonly', store =>
+      promisify(store.index('color').getAll(IDBKeyRange.only(color))));
+  }
+
+  function clearRepertoire(color) {
+    return withStore('repertoire', 'readwrite', store => new Promise((resolve, reject) => {
+      const request = store.index('color').openKeyCursor(IDBKeyRange.only(color));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  root.StudyDb = {
+    DB_NAME,
+    putPuzzles,
+    getPuzzle,
+    countPuzzles,
+    clearPuzzles,
+    listPuzzleThemes,
+    findPuzzleIds,
+    putCard,
+    getCard,
+    countCards,
+    deleteCard,
+    findDueCards,
+    nextDueCard,
+    putPosition,
+    getPosition,
+    deletePosition,
+    listPositions,
+    listPositionTags,
+    putBook,
+    listBooks,
+    deleteBook,
+    putRepertoireNodes,
+    listRepertoire,
+    clearRepertoire
+  };
+})(globalThis);
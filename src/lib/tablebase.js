@@ -0,0 +1,130 @@
+/**
+ * Chess Study Tool - Endgame tablebase results
+ *
+ * Turns answers from the Lichess tablebase API into the result shape the
+ * panel draws, and formats them. Depends on ChessRules.
+ *
+ * Exposes a single `ChessTablebase` namespace on globalThis.
+ *
+ * Result shape, always from the side to move's point of view:
+ *   { source, fen, category, dtz, dtm, checkmate, stalemate,
+ *     moves: [{ uci, san, category, dtz, dtm, zeroing, optimal }] }
+ * `category` is win, cursed-win, draw, blessed-loss or loss, or one of
+ * syzygy-win, maybe-win, maybe-loss, syzygy-loss and unknown. A
+ * move's category and DTZ are what the mover gets by playing it. Moves are
+ * sorted best first.
+ */
+
+(function (root) {
+  'use strict';
+
+  // Syzygy tables cover up to 7 pieces, kings included
+  const MAX_PIECES = 7;
+
+  // Best to worst, for sorting
+  const CATEGORY_ORDER = [
+    'win', 'syzygy-win', 'maybe-win', 'cursed-win', 'draw',
+    'unknown', 'blessed-loss', 'maybe-loss', 'syzygy-loss', 'loss'
+  ];
+
+  const CATEGORY_LABELS = {
+    win: 'Win',
+    'syzygy-win': 'Win',
+    'maybe-win': 'Win?',
+    'cursed-win': 'Cursed win',
+    draw: 'Draw',
+    unknown: 'Unknown',
+    'blessed-loss': 'Blessed loss',
+    'maybe-loss': 'Loss?',
+    'syzygy-loss': 'Loss',
+    loss: 'Loss'
+  };
+
+  // The same outcome from the other side of the board
+  const OPPOSITE = {
+    win: 'loss',
+    'syzygy-win': 'syzygy-loss',
+    'maybe-win': 'maybe-loss',
+    'cursed-win': 'blessed-loss',
+    draw: 'draw',
+    unknown: 'unknown',
+    'blessed-loss': 'cursed-win',
+    'maybe-loss': 'maybe-win',
+    'syzygy-loss': 'syzygy-win',
+    loss: 'win'
+  };
+
+  function pieceCount(fen) {
+    return (fen.split(' ')[0].match(/[a-z]/gi) || []).length;
+  }
+
+  // Tablebases know nothing of castling
+  function canProbe(fen) {
+    const fields = fen.trim().split(/\s+/);
+    return pieceCount(fen) <= MAX_PIECES && (fields[2] || '-') === '-';
+  }
+
+  function categoryRank(category) {
+    const index = CATEGORY_ORDER.indexOf(category);
+    return index === -1 ? CATEGORY_ORDER.indexOf('unknown') : index;
+  }
+
+  // Best first: the better outcome, then the quicker win or the slower loss
+  function compareMoves(a, b) {
+    const byCategory = categoryRank(a.category) - categoryRank(b.category);
+    if (byCategory !== 0) return byCategory;
+    const da = Math.abs(a.dtz ?? 0);
+    const db = Math.abs(b.dtz ?? 0);
+    return categoryRank(a.category) < categoryRank('draw') ? da - db : db - da;
+  }
+
+  // Sort the moves and mark the ones that keep the result with the best DTZ
+  function finish(result) {
+    result.moves.sort(compareMoves);
+    const best = result.moves[0];
+    result.moves.forEach(move => {
+      move.optimal = !!best && move.category === best.category &&
+        (move.category === 'draw' || Math.abs(move.dtz ?? 0) === Math.abs(best.dtz ?? 0));
+    });
+    return result;
+  }
+
+  // Lichess tablebase API answer -> result. Lichess gives each move as seen
+  // by the opponent after it, so those are turned around.
+  function fromLichess(data, fen) {
+    const flip = (value) => (value === null || value === undefined ? null : -value);
+    return finish({
+      source: 'lichess',
+      fen,
+      category: data.category || 'unknown',
+      dtz: data.dtz ?? null,
+      dtm: data.dtm ?? null,
+      checkmate: !!data.checkmate,
+      stalemate: !!data.stalemate,
+      moves: (data.moves || []).map(move => ({
+        uci: move.uci,
+        san: ChessRules.uciToSan(fen, move.uci) || move.san || move.uci,
+        category: OPPOSITE[move.category] || 'unknown',
+        dtz: flip(move.dtz),
+        dtm: flip(move.dtm),
+        zeroing: !!move.zeroing
+      }))
+    });
+  }
+
+  // "Win · DTZ 13" for a result or a move
+  function formatOutcome(entry) {
+    const label = CATEGORY_LABELS[entry.category] || entry.category;
+    if (entry.category === 'draw' || !entry.dtz) return label;
+    return `${label} · DTZ ${Math.abs(entry.dtz)}`;
+  }
+
+  root.ChessTablebase = {
+    MAX_PIECES,
+    CATEGORY_LABELS,
+    pieceCount,
+    canProbe,
+    fromLichess,
+    formatOutcome
+  };
+})(globalThis);
@@ -0,0 +1,82 @@
+/**
+ * Chess Study Tool - UCI helpers
+ *
+ * Shared by every place that talks UCI to an engine process: the offscreen
+ * WASM host (via <script>) and the native messaging host (via require()).
+ *
+ * Exposes a single `ChessUci` namespace on globalThis.
+ */
+
+(function (root) {
+  'use strict';
+
+  // "info depth 18 ... multipv 2 score cp -35 ... pv e7e5 g1f3" -> line object:
+  //   { multipv, depth, cp, mate, pv }
+  // Scores are from the side to move, as UCI reports them. Bound
+  // (lowerbound/upperbound) scores are skipped; they aren't final.
+  function parseInfoLine(line) {
+    if (!line.startsWith('info ') || !line.includes(' pv ') || / (lower|upper)bound/.test(line)) return null;
+
+    const depth = line.match(/ depth (\d+)/);
+    const multipv = line.match(/ multipv (\d+)/);
+    const score = line.match(/ score (cp|mate) (-?\d+)/);
+    const pv = line.match(/ pv (.+)$/);
+    if (!depth || !score || !pv) return null;
+
+    return {
+      multipv: multipv ? parseInt(multipv[1], 10) : 1,
+      depth: parseInt(depth[1], 10),
+      cp: score[1] === 'cp' ? parseInt(score[2], 10) : null,
+      mate: score[1] === 'mate' ? parseInt(score[2], 10) : null,
+      pv: pv[1].trim().split(/\s+/)
+    };
+  }
+
+  // "bestmove e2e4 ponder e7e5" -> "e2e4" (null for "(none)")
+  function parseBestMove(line) {
+    if (!line.startsWith('bestmove')) return undefined;
+    const move = line.split(/\s+/)[1];
+    return move && move !== '(none)' ? move : null;
+  }
+
+  // Commands for one search; the engine stops at whichever limit comes first.
+  // `searchMoves` (UCI) restricts the search to those candidates; it has to
+  // be the last token, engines read moves up to the end of the line.
+  function searchCommands({ fen, depth, multiPv, movetime, searchMoves }) {
+    const limits = [];
+    if (depth) limits.push(`depth ${depth}`);
+    if (movetime) limits.push(`movetime ${movetime}`);
+    if (limits.length === 0) limits.push('depth 18');
+    if (searchMoves && searchMoves.length > 0) limits.push(`searchmoves ${searchMoves.join(' ')}`);
+    return [
+      `setoption name MultiPV value ${multiPv || 1}`,
+      `position fen ${fen}`,
+      `go ${limits.join(' ')}`
+    ];
+  }
+
+  // Rate limit for streamed info lines: the returned function says whether
+  // `info` should be forwarded (at most one per multipv slot per interval)
+  function infoThrottle(intervalMs) {
+    const lastSent = new Map();
+    return (info) => {
+      const now = Date.now();
+      if (now - (lastSent.get(info.multipv) || 0) < intervalMs) return false;
+      lastSent.set(info.multipv, now);
+      return true;
+    };
+  }
+
+  // Deepest line per multipv slot, best first
+  function sortedLines(linesBySlot) {
+    return [...linesBySlot.values()].sort((a, b) => a.multipv - b.multipv);
+  }
+
+  root.ChessUci = {
+    parseInfoLine,
+    parseBestMove,
+    searchCommands,
+    infoThrottle,
+    sortedLines
+  };
+})(globalThis);
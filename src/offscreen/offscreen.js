@@ -0,0 +1,165 @@
+/**
+ * Chess Study Tool - Offscreen Engine Host
+ *
+ * MV3 service workers can't start Web Workers, so this offscreen document
+ * owns the Stockfish WASM worker and talks UCI to it on the service
+ * worker's behalf. Messages addressed to it carry `target: 'offscreen'`.
+ * Search progress goes back to the service worker as ENGINE_INFO messages.
+ *
+ * Engine files, bundled (Stockfish.js 19 lite single-threaded, GPLv3, see
+ * src/engine/README.md):
+ *   src/engine/stockfish.js
+ *   src/engine/stockfish.wasm
+ */
+
+const ENGINE_PATH = '../engine/stockfish.js';
+
+// Extra time past the movetime limit before we force a 'stop'
+const SEARCH_GRACE_MS = 5000;
+// Limit for depth-only searches so a stuck engine can't hang a request
+const MAX_SEARCH_MS = 60000;
+// At most one ENGINE_INFO per multipv slot per interval
+const INFO_INTERVAL_MS = 200;
+
+let engine = null;
+let engineReady = null;
+let lineHandler = null;
+let searchQueue = Promise.resolve();
+
+// Searches not yet answered, by id, and the one the engine is running
+const pendingSearches = new Map();
+let currentSearch = null;
+
+// ============================================================================
+// ENGINE LIFECYCLE
+// ============================================================================
+
+function send(command) {
+  engine.postMessage(command);
+}
+
+function startEngine() {
+  if (engineReady) return engineReady;
+
+  engineReady = new Promise((resolve, reject) => {
+    try {
+      engine = new Worker(ENGINE_PATH);
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    engine.onmessage = (e) => {
+      for (const line of String(e.data).split('\n')) {
+        if (line) lineHandler?.(line);
+      }
+    };
+
+    engine.onerror = (e) => {
+      e.preventDefault?.();
+      console.error('[Chess Study] Stockfish worker error:', e.message || e);
+      resetEngine();
+      reject(new Error('Local Stockfish failed to load - are src/engine/stockfish.js and stockfish.wasm present?'));
+    };
+
+    lineHandler = (line) => {
+      if (line === 'uciok') {
+        send('isready');
+      } else if (line === 'readyok') {
+        lineHandler = null;
+        console.log('[Chess Study] Local Stockfish ready');
+        resolve();
+      }
+    };
+    send('uci');
+  });
+
+  return engineReady;
+}
+
+function resetEngine() {
+  if (engine) engine.terminate();
+  engine = null;
+  engineReady = null;
+  lineHandler = null;
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+// One search: position + go, collect the deepest line per multipv slot
+// until 'bestmove'. Scores are from the side to move, as UCI reports them.
+async function runSearch(request) {
+  await startEngine();
+
+  // Stopped while it was still queued
+  if (request.stopped) return { bestmove: null, lines: [] };
+
+  return new Promise((resolve) => {
+    const lines = new Map();
+    const shouldSend = ChessUci.infoThrottle(INFO_INTERVAL_MS);
+    const limitMs = request.movetime ? request.movetime + SEARCH_GRACE_MS : MAX_SEARCH_MS;
+    const stopTimer = setTimeout(() => send('stop'), limitMs);
+    currentSearch = request;
+
+    lineHandler = (line) => {
+      const info = ChessUci.parseInfoLine(line);
+      if (info) {
+        lines.set(info.multipv, info);
+        if (shouldSend(info)) {
+          chrome.runtime.sendMessage({ type: 'ENGINE_INFO', id: request.id, line: info }).catch(() => {});
+        }
+        return;
+      }
+      const bestmove = ChessUci.parseBestMove(line);
+      if (bestmove !== undefined) {
+        clearTimeout(stopTimer);
+        lineHandler = null;
+        currentSearch = null;
+        resolve({ bestmove, lines: ChessUci.sortedLines(lines) });
+      }
+    };
+
+    ChessUci.searchCommands(request).forEach(send);
+  });
+}
+
+// The worker runs one search at a time; later requests wait their turn
+function analyze(request) {
+  pendingSearches.set(request.id, request);
+  const result = searchQueue.then(() => runSearch(request));
+  searchQueue = result.catch(() => {});
+  return result.finally(() => pendingSearches.delete(request.id));
+}
+
+// 'stop' makes the engine answer now with what it has; a queued search is
+// skipped when its turn comes
+function stopSearch(id) {
+  const request = pendingSearches.get(id);
+  if (!request) return;
+  request.stopped = true;
+  if (request === currentSearch) send('stop');
+}
+
+// ============================================================================
+// MESSAGE HANDLING
+// ============================================================================
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return false;
+
+  if (message.type === 'ENGINE_ANALYZE') {
+    analyze(message)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep channel open for async
+  }
+
+  if (message.type === 'ENGINE_STOP') {
+    stopSearch(message.id);
+    return false;
+  }
+
+  return false;
+});
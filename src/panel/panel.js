@@ -1,5 +1,5 @@
 /**
- * Chess Study Tool - Panel Script (v3.10.4)
+ * Chess Study Tool - Panel Script (v3.35.0)
  *
  * Standalone learning tool that:
  * 1. Captures screenshots on user request
@@ -18,6 +18,7 @@ const captureBtn = document.getElementById('capture-btn');
 const statusDot = document.getElementById('status-dot');
 const statusText = document.getElementById('status-text');
 const fenDisplay = document.getElementById('fen-display');
+const openingDisplay = document.getElementById('opening-display');
 const turnDisplay = document.getElementById('turn-display');
 const fenInput = document.getElementById('fen-input');
 const fenToggleTurnBtn = document.getElementById('fen-toggle-turn');
@@ -84,9 +85,99 @@ const clearDebugLogsBtn = document.getElementById('clear-debug-logs-btn');
 const debugLogViewer = document.getElementById('debug-log-viewer');
 const debugLogContent = document.getElementById('debug-log-content');
 
-// Elo slider
-const targetEloSlider = document.getElementById('target-elo');
-const eloValueDisplay = document.getElementById('elo-value');
+// PGN viewer elements
+const pgnInput = document.getElementById('pgn-input');
+const pgnFileInput = document.getElementById('pgn-file-input');
+const pgnImport = document.getElementById('pgn-import');
+const pgnViewer = document.getElementById('pgn-viewer');
+const pgnGameSelect = document.getElementById('pgn-game-select');
+const pgnHeaders = document.getElementById('pgn-headers');
+const pgnMoves = document.getElementById('pgn-moves');
+const pgnPlyLabel = document.getElementById('pgn-ply-label');
+const pgnReviewBtn = document.getElementById('pgn-review-btn');
+const gameReviewPanel = document.getElementById('game-review');
+
+// Move tree
+const treeSection = document.getElementById('tree-section');
+const treeMoves = document.getElementById('tree-moves');
+const analysisDepthInput = document.getElementById('analysis-depth');
+const analysisMultiPvInput = document.getElementById('analysis-multipv');
+const analysisSearchMovesInput = document.getElementById('analysis-searchmoves');
+
+// Puzzle trainer
+const puzzleSection = document.getElementById('puzzle-section');
+const puzzleTitle = document.getElementById('puzzle-title');
+const puzzleStatus = document.getElementById('puzzle-status');
+const puzzleFeedback = document.getElementById('puzzle-feedback');
+const puzzleHintBtn = document.getElementById('puzzle-hint-btn');
+const puzzleSolutionBtn = document.getElementById('puzzle-solution-btn');
+const puzzleNextBtn = document.getElementById('puzzle-next-btn');
+const cardDeleteBtn = document.getElementById('card-delete-btn');
+
+// Puzzle database
+const puzzleDbCount = document.getElementById('puzzle-db-count');
+const puzzleThemeSelect = document.getElementById('puzzle-theme');
+const puzzleMinRatingInput = document.getElementById('puzzle-min-rating');
+const puzzleMaxRatingInput = document.getElementById('puzzle-max-rating');
+const puzzleFileInput = document.getElementById('puzzle-file-input');
+
+// Review cards
+const cardCount = document.getElementById('card-count');
+const cardReviewBtn = document.getElementById('card-review-btn');
+
+// Opening repertoire
+const repertoireCount = document.getElementById('repertoire-count');
+const repertoireColorSelect = document.getElementById('repertoire-color');
+const repertoireDrillBtn = document.getElementById('repertoire-drill-btn');
+const repertoirePlayerInput = document.getElementById('repertoire-player');
+const repertoireReportBtn = document.getElementById('repertoire-report-btn');
+const repertoireReport = document.getElementById('repertoire-report');
+const repertoireReportSummary = document.getElementById('repertoire-report-summary');
+const repertoireReportTable = document.getElementById('repertoire-report-table');
+
+// Position library
+const libraryCount = document.getElementById('library-count');
+const librarySearchInput = document.getElementById('library-search');
+const libraryTagsBar = document.getElementById('library-tags');
+const libraryList = document.getElementById('library-list');
+const libraryEditor = document.getElementById('library-editor');
+const libraryTagsInput = document.getElementById('library-tags-input');
+const libraryNotesInput = document.getElementById('library-notes');
+
+// Opening books
+const bookMoves = document.getElementById('book-moves');
+const bookList = document.getElementById('book-list');
+const bookFileInput = document.getElementById('book-file-input');
+
+// Tablebases
+const tablebaseLichessToggle = document.getElementById('tablebase-lichess');
+
+// Opening explorer
+const explorerMoves = document.getElementById('explorer-moves');
+const explorerUrlInput = document.getElementById('explorer-url');
+
+// Puzzle rating (settings)
+const puzzleRatingSummary = document.getElementById('puzzle-rating-summary');
+const puzzleRatingChart = document.getElementById('puzzle-rating-chart');
+const puzzleThemeStats = document.getElementById('puzzle-theme-stats');
+
+// Engine settings
+const engineBackendList = document.getElementById('engine-backend-list');
+const engineDepthInput = document.getElementById('engine-depth');
+const engineMultiPvInput = document.getElementById('engine-multipv');
+const engineMoveTimeInput = document.getElementById('engine-movetime');
+const nativeEngineInput = document.getElementById('native-engine');
+
+// Study display (teaching view)
+const teachingViewToggle = document.getElementById('teaching-view');
+const teachingRatingSlider = document.getElementById('teaching-rating');
+const teachingRatingDisplay = document.getElementById('teaching-rating-value');
+
+// Review mode (post-game only)
+const reviewModeToggle = document.getElementById('review-mode');
+const reviewPassphraseInput = document.getElementById('review-passphrase');
+const reviewModeApplyBtn = document.getElementById('review-mode-apply');
+const reviewModeStatus = document.getElementById('review-mode-status');
 
 // Error tracking
 const errors = [];
@@ -95,14 +186,45 @@ const errors = [];
 let boardFlipped = false;  // false = white on bottom, true = black on bottom
 let currentFen = null;
 let currentMoves = null;
+let currentAnalysis = null;  // last displayResults payload with moves, for PGN export
 
-// Session suspicion tracking
-let sessionCaptures = 0;
-let sessionEngineMatches = 0;
+// Teaching view settings, applied when moves are drawn
+let teachingView = { enabled: false, rating: 1500 };
+
+// Review mode as last reported by the service worker
+let reviewMode = { enabled: false, locked: false };
+// PGN of the finished game the current analysis came from (review mode
+// needs it for every ANALYZE_FEN, including move-tree evaluations)
+let analysisSourcePgn = null;
+// FENs that led to it (oldest first), for naming the opening
+let analysisHistory = [];
 
 // Session API cost tracking
 let sessionTotalCost = 0;
 
+// PGN viewer state
+let pgnGames = [];
+let pgnGame = null;
+let pgnNodesById = null;
+let pgnNode = null;
+
+// Move tree state (variations from the analysed position)
+let treeRoot = null;
+let treeNode = null;
+let treeNodesById = null;
+let selectedSquare = null;
+let activeBoard = null;  // 'tree' | 'pgn' | 'puzzle' - which view owns the main board
+
+// Puzzle being solved (see PUZZLE TRAINER)
+let puzzle = null;
+// Database puzzles already drawn this session, so Next doesn't repeat them
+const seenPuzzleIds = new Set();
+
+// Streaming analysis
+let analysisPort = null;
+let analysisRequestSeq = 0;
+let pendingAnalysis = null;  // { requestId, node } for the ANALYZE_* request in flight
+
 // Header dots
 const headerAnthropicDot = document.getElementById('header-anthropic-dot');
 const headerStockfishDot = document.getElementById('header-stockfish-dot');
@@ -116,6 +238,7 @@ const headerIndicators = document.querySelector('.header-indicators');
 document.addEventListener('DOMContentLoaded', async () => {
   // Load saved settings
   await loadSettings();
+  await refreshReviewMode();
 
   // Re-inject content script to refresh stale runtime connections
   chrome.runtime.sendMessage({ type: 'REINJECT_CONTENT_SCRIPT' }).catch(() => {});
@@ -131,13 +254,6 @@ document.addEventListener('DOMContentLoaded', async () => {
     window.close();
   });
 
-  // Session tracker reset
-  document.getElementById('tracker-reset').addEventListener('click', () => {
-    sessionCaptures = 0;
-    sessionEngineMatches = 0;
-    updateSuspicionTracker();
-  });
-
   // API check button
   checkApisBtn.addEventListener('click', checkAllAPIs);
 
@@ -190,7 +306,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     boardFlipped = sideSwitch.checked;
     if (sideColorLabel) sideColorLabel.textContent = boardFlipped ? 'Black' : 'White';
     updateBoardOrientation();
-    if (currentFen && currentMoves) {
+    if (activeBoard === 'pgn' && pgnNode) {
+      showPgnNode(pgnNode);
+    } else if (activeBoard === 'tree' && treeNode) {
+      showTreeNode(treeNode);
+    } else if (activeBoard === 'puzzle' && puzzle) {
+      renderPuzzle();
+    } else if (currentFen && currentMoves) {
       renderChessBoard(currentFen, currentMoves[0]);
     }
     try {
@@ -212,9 +334,103 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (fenSwapColorsBtn) fenSwapColorsBtn.addEventListener('click', () => applyFenTransform('swapColors'));
   if (fenRerunBtn) fenRerunBtn.addEventListener('click', rerunFromFen);
 
-  // Elo slider live update
-  targetEloSlider.addEventListener('input', () => {
-    eloValueDisplay.textContent = targetEloSlider.value;
+  // PGN import + game viewer
+  document.getElementById('pgn-load-btn').addEventListener('click', () => loadPgnText(pgnInput.value));
+  document.getElementById('pgn-file-btn').addEventListener('click', () => pgnFileInput.click());
+  pgnFileInput.addEventListener('change', handlePgnFile);
+  pgnGameSelect.addEventListener('change', () => openPgnGame(parseInt(pgnGameSelect.value, 10)));
+  document.getElementById('pgn-first').addEventListener('click', () => stepPgn('first'));
+  document.getElementById('pgn-prev').addEventListener('click', () => stepPgn('prev'));
+  document.getElementById('pgn-next').addEventListener('click', () => stepPgn('next'));
+  document.getElementById('pgn-last').addEventListener('click', () => stepPgn('last'));
+  document.getElementById('pgn-analyze-btn').addEventListener('click', analyzePgnPosition);
+  document.getElementById('pgn-close-btn').addEventListener('click', closePgnViewer);
+  pgnMoves.addEventListener('click', (e) => {
+    const moveEl = e.target.closest('[data-node-id]');
+    if (moveEl) showPgnNode(pgnNodesById.get(parseInt(moveEl.dataset.nodeId, 10)));
+  });
+  pgnReviewBtn.addEventListener('click', reviewPgnGame);
+  gameReviewPanel.addEventListener('click', handleGameReviewClick);
+  document.addEventListener('keydown', handleNavigationKeys);
+
+  // Move tree - play moves on the board, navigate and edit variations
+  chessBoard.addEventListener('click', handleBoardClick);
+  treeMoves.addEventListener('click', (e) => {
+    const moveEl = e.target.closest('[data-node-id]');
+    if (moveEl) showTreeNode(treeNodesById.get(parseInt(moveEl.dataset.nodeId, 10)));
+  });
+  document.getElementById('tree-back').addEventListener('click', () => stepTree('prev'));
+  document.getElementById('tree-forward').addEventListener('click', () => stepTree('next'));
+  document.getElementById('tree-promote').addEventListener('click', promoteTreeNode);
+  document.getElementById('tree-delete').addEventListener('click', deleteTreeNode);
+  document.getElementById('tree-evaluate').addEventListener('click', () => treeNode && evaluateTreeNode(treeNode, true, readSearchOptions()));
+  document.getElementById('export-pgn-btn').addEventListener('click', exportAnalysisPgn);
+
+  // Puzzle trainer
+  document.getElementById('puzzle-start-btn').addEventListener('click', solveAsPuzzle);
+  puzzleHintBtn.addEventListener('click', showPuzzleHint);
+  puzzleSolutionBtn.addEventListener('click', revealPuzzleSolution);
+  puzzleNextBtn.addEventListener('click', () => puzzle?.next?.());
+  document.getElementById('puzzle-close-btn').addEventListener('click', closePuzzle);
+  document.getElementById('puzzle-draw-btn').addEventListener('click', drawPuzzle);
+  document.getElementById('puzzle-import-btn').addEventListener('click', () => puzzleFileInput.click());
+  puzzleFileInput.addEventListener('change', handlePuzzleFile);
+  document.getElementById('puzzle-clear-btn').addEventListener('click', clearPuzzleDb);
+  document.getElementById('puzzle-rating-reset').addEventListener('click', resetPuzzleRating);
+  refreshPuzzleDb();
+
+  // Review cards
+  document.getElementById('card-save-btn').addEventListener('click', saveCard);
+  cardReviewBtn.addEventListener('click', reviewDueCards);
+  cardDeleteBtn.addEventListener('click', deleteCurrentCard);
+  refreshCards();
+
+  // Opening repertoire
+  repertoireColorSelect.addEventListener('change', refreshRepertoire);
+  repertoireDrillBtn.addEventListener('click', drillRepertoire);
+  document.getElementById('repertoire-add-btn').addEventListener('click', addToRepertoire);
+  document.getElementById('repertoire-clear-btn').addEventListener('click', clearRepertoire);
+  refreshRepertoire();
+  repertoirePlayerInput.addEventListener('change', saveRepertoirePlayer);
+  repertoireReportBtn.addEventListener('click', runDeviationReport);
+  repertoireReportTable.addEventListener('click', handleDeviationReportClick);
+  document.getElementById('repertoire-csv-btn').addEventListener('click', () => exportDeviationReport('csv'));
+  document.getElementById('repertoire-md-btn').addEventListener('click', () => exportDeviationReport('md'));
+
+  // Position library
+  librarySearchInput.addEventListener('input', renderLibrary);
+  libraryTagsBar.addEventListener('click', toggleLibraryTag);
+  libraryList.addEventListener('click', handleLibraryClick);
+  document.getElementById('library-save-btn').addEventListener('click', saveLibraryEntry);
+  document.getElementById('library-delete-btn').addEventListener('click', deleteLibraryEntry);
+  refreshLibrary();
+
+  // Opening books
+  document.getElementById('book-add-btn').addEventListener('click', () => bookFileInput.click());
+  bookFileInput.addEventListener('change', handleBookFiles);
+  bookList.addEventListener('click', removeBook);
+  bookMoves.addEventListener('click', playBookMove);
+  loadBooks();
+
+  // Opening explorer
+  explorerMoves.addEventListener('click', handleExplorerClick);
+
+  // Stop button in the streaming progress bar
+  movesList.addEventListener('click', (e) => {
+    if (e.target.closest('.engine-stop-btn')) stopAnalysis();
+  });
+
+  // Engine backend order / enable toggles
+  engineBackendList.addEventListener('click', handleEngineBackendClick);
+
+  // Teaching rating slider live update
+  teachingRatingSlider.addEventListener('input', () => {
+    teachingRatingDisplay.textContent = teachingRatingSlider.value;
+  });
+
+  reviewModeApplyBtn.addEventListener('click', applyReviewMode);
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.reviewMode) refreshReviewMode();
   });
 
   // Listen for keyboard shortcut (Alt+=) from service worker
@@ -279,7 +495,20 @@ async function loadSettings() {
     bigmodelModel: 'glm-4v',
     defaultProvider: 'anthropic',
     boardFlipped: false,
+    showTeachingView: false,
+    teachingRating: null,
     targetElo: 1500,
+    engineOrder: null,
+    engineEnabled: null,
+    engineBackend: null,
+    engineDepth: 18,
+    engineMultiPv: 3,
+    engineMoveTime: 3000,
+    nativeEngine: '',
+    explorerUrl: '',
+    explorerDb: 'masters',
+    tablebaseLichess: true,
+    repertoirePlayer: '',
     // Migration support
     claudeApiKey: '',
     apiProvider: 'anthropic'
@@ -313,9 +542,32 @@ async function loadSettings() {
   if (sideColorLabel) sideColorLabel.textContent = boardFlipped ? 'Black' : 'White';
   updateBoardOrientation();
 
-  // Elo slider
-  targetEloSlider.value = settings.targetElo;
-  eloValueDisplay.textContent = settings.targetElo;
+  // Teaching view (the rating used to be the move picker's "target Elo")
+  teachingView = {
+    enabled: !!settings.showTeachingView,
+    rating: settings.teachingRating || settings.targetElo
+  };
+  teachingViewToggle.checked = teachingView.enabled;
+  teachingRatingSlider.value = teachingView.rating;
+  teachingRatingDisplay.textContent = teachingView.rating;
+
+  // Engine
+  renderEngineBackends(settings);
+  engineDepthInput.value = settings.engineDepth;
+  engineMultiPvInput.value = settings.engineMultiPv;
+  engineMoveTimeInput.value = settings.engineMoveTime / 1000;
+  nativeEngineInput.value = settings.nativeEngine;
+
+  // Opening explorer
+  explorerUrlInput.value = settings.explorerUrl;
+  explorerDb = settings.explorerDb;
+
+  // Tablebases
+  useLichessTablebase = !!settings.tablebaseLichess;
+  tablebaseLichessToggle.checked = useLichessTablebase;
+
+  // Repertoire deviation report
+  repertoirePlayerInput.value = settings.repertoirePlayer;
 }
 
 async function saveSettings() {
@@ -360,14 +612,92 @@ async function saveSettings() {
     bigmodelModel: bigmodelModel.value,
     defaultProvider,
     boardFlipped,
-    targetElo: parseInt(targetEloSlider.value)
+    showTeachingView: teachingViewToggle.checked,
+    teachingRating: parseInt(teachingRatingSlider.value, 10),
+    ...readEngineBackends(),
+    engineDepth: clampInt(engineDepthInput.value, 1, 30, 18),
+    engineMultiPv: clampInt(engineMultiPvInput.value, 1, 10, 3),
+    engineMoveTime: Math.round(Math.min(Math.max(parseFloat(engineMoveTimeInput.value) || 0, 0), 60) * 1000),
+    nativeEngine: nativeEngineInput.value.trim(),
+    explorerUrl: explorerUrlInput.value.trim(),
+    tablebaseLichess: tablebaseLichessToggle.checked
   });
+  // Superseded by engineOrder/engineEnabled (3.17) and teachingRating (3.22)
+  await chrome.storage.sync.remove(['engineBackend', 'targetElo']);
+
+  teachingView = { enabled: teachingViewToggle.checked, rating: parseInt(teachingRatingSlider.value, 10) };
+  useLichessTablebase = tablebaseLichessToggle.checked;
+  if (currentAnalysis) displayMoves(currentAnalysis.moves, currentAnalysis.fenNormalized || currentAnalysis.fen);
 
   updateProviderSectionHighlight(defaultProvider);
   hideSettings();
   updateStatus('Settings saved!', 'success');
 }
 
+// Engine backends in the order the service worker tries them
+const ENGINE_BACKENDS = {
+  lichess: 'Lichess cloud',
+  chessapi: 'Chess-API',
+  wasm: 'Local Stockfish (WASM)',
+  native: 'Native engine'
+};
+const ENGINE_DEFAULT_ORDER = ['lichess', 'chessapi', 'wasm', 'native'];
+const ENGINE_DEFAULT_ENABLED = { lichess: true, chessapi: true, wasm: false, native: false };
+
+// Same migration as the service worker's getEngineSettings()
+function renderEngineBackends(settings) {
+  let order = settings.engineOrder;
+  let enabled = settings.engineEnabled;
+  if (!order) {
+    const localFirst = settings.engineBackend === 'local';
+    order = localFirst ? ['wasm', ...ENGINE_DEFAULT_ORDER.filter(id => id !== 'wasm')] : ENGINE_DEFAULT_ORDER;
+    enabled = { ...ENGINE_DEFAULT_ENABLED, wasm: localFirst };
+  }
+  enabled = { ...ENGINE_DEFAULT_ENABLED, ...enabled };
+  order = [...order.filter(id => ENGINE_BACKENDS[id]), ...ENGINE_DEFAULT_ORDER.filter(id => !order.includes(id))];
+
+  engineBackendList.innerHTML = order.map(id => `
+    <li class="engine-backend-item${enabled[id] ? '' : ' disabled'}" data-backend="${id}">
+      <input type="checkbox"${enabled[id] ? ' checked' : ''} title="Enable ${ENGINE_BACKENDS[id]}">
+      <span class="engine-backend-name">${ENGINE_BACKENDS[id]}</span>
+      <button class="engine-move-btn" data-dir="up" title="Try earlier">&#9650;</button>
+      <button class="engine-move-btn" data-dir="down" title="Try later">&#9660;</button>
+    </li>`).join('');
+}
+
+function handleEngineBackendClick(e) {
+  const item = e.target.closest('.engine-backend-item');
+  if (!item) return;
+
+  if (e.target.matches('input[type="checkbox"]')) {
+    item.classList.toggle('disabled', !e.target.checked);
+    return;
+  }
+
+  const button = e.target.closest('.engine-move-btn');
+  if (!button) return;
+  if (button.dataset.dir === 'up' && item.previousElementSibling) {
+    engineBackendList.insertBefore(item, item.previousElementSibling);
+  } else if (button.dataset.dir === 'down' && item.nextElementSibling) {
+    engineBackendList.insertBefore(item.nextElementSibling, item);
+  }
+}
+
+function readEngineBackends() {
+  const items = [...engineBackendList.querySelectorAll('.engine-backend-item')];
+  return {
+    engineOrder: items.map(item => item.dataset.backend),
+    engineEnabled: Object.fromEntries(items.map(item => [item.dataset.backend, item.querySelector('input').checked]))
+  };
+}
+
+// Parse a numeric setting, falling back when it's blank or out of range
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value, 10);
+  if (isNaN(n)) return fallback;
+  return Math.min(Math.max(n, min), max);
+}
+
 // ============================================================================
 // STATUS POPOVER
 // ============================================================================
@@ -386,6 +716,7 @@ function closePopover() {
 
 function showSettings() {
   closePopover();
+  renderPuzzleRatingStats();
   mainContent.classList.add('hidden');
   settingsPanel.classList.add('active');
 }
@@ -524,11 +855,55 @@ function logError(source, message) {
   addError(source, message);
 }
 
+// ============================================================================
+// REVIEW MODE
+// ============================================================================
+
+// The service worker owns review mode (and enforces it); the panel mirrors it
+async function refreshReviewMode() {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_REVIEW_MODE' }).catch(() => null);
+  if (response?.success) reviewMode = { enabled: response.enabled, locked: response.locked };
+  updateReviewModeUi();
+}
+
+function updateReviewModeUi() {
+  reviewModeToggle.checked = reviewMode.enabled;
+  reviewModeStatus.textContent = !reviewMode.enabled
+    ? 'Off'
+    : reviewMode.locked ? 'On, locked by passphrase' : 'On (not locked)';
+
+  captureBtn.disabled = reviewMode.enabled;
+  captureBtn.title = reviewMode.enabled ? 'Review mode: load finished games as PGN instead' : '';
+}
+
+async function applyReviewMode() {
+  const response = await chrome.runtime.sendMessage({
+    type: 'SET_REVIEW_MODE',
+    enabled: reviewModeToggle.checked,
+    passphrase: reviewPassphraseInput.value
+  });
+  reviewPassphraseInput.value = '';
+
+  if (response?.error) {
+    updateStatus(response.error, 'error');
+    reviewModeToggle.checked = reviewMode.enabled;
+    return;
+  }
+  reviewMode = { enabled: response.enabled, locked: response.locked };
+  updateReviewModeUi();
+  updateStatus(reviewMode.enabled ? 'Review mode on' : 'Review mode off', 'success');
+}
+
 // ============================================================================
 // CAPTURE & ANALYZE
 // ============================================================================
 
 async function handleCapture() {
+  if (reviewMode.enabled) {
+    updateStatus('Review mode: board captures are off. Load the finished game as a PGN.', 'error');
+    return;
+  }
+
   const settings = await chrome.storage.sync.get(['anthropicApiKey', 'openrouterApiKey', 'bigmodelApiKey', 'defaultProvider']);
   const hasAnyKey = settings.anthropicApiKey || settings.openrouterApiKey || settings.bigmodelApiKey;
 
@@ -549,12 +924,15 @@ async function handleCapture() {
     return;
   }
 
+  endPuzzle();
   captureBtn.classList.add('loading');
   captureBtn.disabled = true;
   closePopover();
   updateStatus('Capturing screen...', 'loading');
   clearResults();
+  analysisSourcePgn = null;
 
+  let requestId = null;
   try {
     const response = await chrome.runtime.sendMessage({ type: 'CAPTURE_SCREENSHOT' });
 
@@ -573,7 +951,7 @@ async function handleCapture() {
     if (turnDisplay) turnDisplay.textContent = '...';
 
     movesSection.style.display = 'block';
-    movesList.innerHTML = '<div class="placeholder">Calculating best move...</div>';
+    movesList.innerHTML = analysisProgressHtml('Calculating best move...');
 
     boardSection.style.display = 'block';
     chessBoard.innerHTML = '<div class="placeholder" style="grid-column: span 8; grid-row: span 8;">Loading board...</div>';
@@ -583,14 +961,21 @@ async function handleCapture() {
     // Pass the user's color so the service worker can ensure
     // moves are calculated for the correct side.
     const userColor = boardFlipped ? 'b' : 'w';
+    requestId = beginAnalysisRequest();
     const analysisResponse = await chrome.runtime.sendMessage({
       type: 'ANALYZE_SCREENSHOT',
       imageData: response.imageData,
-      userColor
+      userColor,
+      requestId
     });
 
     console.log('Analysis response:', analysisResponse);
 
+    if (analysisResponse.cancelled) {
+      showAnalysisCancelled(requestId, analysisResponse.error);
+      return;
+    }
+
     if (analysisResponse.error) {
       if (analysisResponse.fen) {
         popoverPosition.style.display = 'block';
@@ -607,7 +992,6 @@ async function handleCapture() {
       throw new Error(analysisResponse.error);
     }
 
-    analysisResponse._isNewCapture = true;
     displayResults(analysisResponse);
 
   } catch (error) {
@@ -617,8 +1001,9 @@ async function handleCapture() {
     fenDisplay.textContent = 'Error';
     movesList.innerHTML = `<div class="placeholder" style="color: #e74c3c;">${error.message}</div>`;
   } finally {
+    endAnalysisRequest(requestId);
     captureBtn.classList.remove('loading');
-    captureBtn.disabled = false;
+    captureBtn.disabled = reviewMode.enabled;
   }
 }
 
@@ -629,6 +1014,8 @@ function clearResults() {
   if (fenInput) fenInput.value = '';
   movesList.innerHTML = '';
   chessBoard.innerHTML = '';
+  currentAnalysis = null;
+  clearMoveTree();
   popoverThumbnail.style.display = 'none';
   popoverPosition.style.display = 'none';
 }
@@ -763,6 +1150,8 @@ function applyFenTransform(kind) {
     }
     currentFen = nextBoard;
     currentMoves = null;
+    currentAnalysis = null;
+    clearMoveTree();
     movesList.innerHTML = '<div class="placeholder">Edit FEN, then click "Re-run Best Moves".</div>';
     renderChessBoard(nextFen, null);
 
@@ -772,18 +1161,27 @@ function applyFenTransform(kind) {
 }
 
 async function rerunFromFen() {
-  const fen = getFenInputText();
+  return analyzeFenPosition(getFenInputText());
+}
+
+// Run the ANALYZE_FEN flow for any full FEN (FEN tools, PGN viewer, ...).
+// `pgn` is the game the position comes from, when there is one.
+async function analyzeFenPosition(fen, pgn = null, history = []) {
   if (!fen) {
     updateStatus('Please enter a FEN to analyze.', 'error');
     return;
   }
+  setFenInputText(fen);
+  analysisSourcePgn = pgn;
+  analysisHistory = history;
+  endPuzzle();
 
   popoverPosition.style.display = 'block';
   movesSection.style.display = 'block';
   boardSection.style.display = 'block';
 
   updateStatus('Re-analyzing from FEN...', 'loading');
-  movesList.innerHTML = '<div class="placeholder">Calculating best move...</div>';
+  movesList.innerHTML = analysisProgressHtml('Calculating best move...');
 
   try {
     const boardPart = fen.split(/\s+/)[0];
@@ -792,12 +1190,20 @@ async function rerunFromFen() {
     // ignore
   }
 
+  const requestId = beginAnalysisRequest();
   try {
     const analysisResponse = await chrome.runtime.sendMessage({
       type: 'ANALYZE_FEN',
-      fen
+      fen,
+      pgn,
+      requestId
     });
 
+    if (analysisResponse.cancelled) {
+      showAnalysisCancelled(requestId, analysisResponse.error);
+      return;
+    }
+
     if (analysisResponse.error) {
       throw new Error(analysisResponse.error);
     }
@@ -808,293 +1214,2821 @@ async function rerunFromFen() {
     updateStatus('Error: ' + error.message, 'error');
     addError('FEN Analysis', error.message);
     movesList.innerHTML = `<div class="placeholder" style="color: #e74c3c;">${error.message}</div>`;
+  } finally {
+    endAnalysisRequest(requestId);
   }
 }
 
 // ============================================================================
-// DISPLAY RESULTS
+// STREAMING ANALYSIS (progress, stop, cancel)
 // ============================================================================
 
-function displayResults(data) {
-  console.log('[Panel] Displaying results:', data);
+// Reconnected on demand - the port drops whenever the service worker restarts
+function getAnalysisPort() {
+  if (analysisPort) return analysisPort;
+  analysisPort = chrome.runtime.connect({ name: 'analysis' });
+  analysisPort.onMessage.addListener((message) => {
+    if (message.type === 'ENGINE_PROGRESS') showEngineProgress(message);
+    if (message.type === 'REVIEW_PROGRESS') showReviewProgress(message);
+  });
+  analysisPort.onDisconnect.addListener(() => {
+    analysisPort = null;
+  });
+  return analysisPort;
+}
 
-  popoverPosition.style.display = 'block';
-  movesSection.style.display = 'block';
-  boardSection.style.display = 'block';
+// Every ANALYZE_* request carries an id so progress and Stop match it.
+// `node` is the move tree node being evaluated, if any.
+function beginAnalysisRequest(node = null) {
+  getAnalysisPort();
+  pendingAnalysis = { requestId: ++analysisRequestSeq, node };
+  return pendingAnalysis.requestId;
+}
 
-  const sourceLabels = {
-    'dom-chesscom': 'DOM (chess.com)',
-    'dom-react-chessboard': 'DOM (react-chessboard)',
-    'dom-img-pieces': 'DOM (image-based)',
-    'dom-generic': 'DOM (detected)',
-    'dom': 'DOM read'
-  };
-  const sourceLabel = sourceLabels[data.source] || 'Vision AI';
-  updateStatus(`Analysis complete! (${sourceLabel})`, 'success');
+function endAnalysisRequest(requestId) {
+  if (pendingAnalysis && pendingAnalysis.requestId === requestId) pendingAnalysis = null;
+}
 
-  // Display FEN and turn
-  if (data.fen) {
-    fenDisplay.textContent = data.fen;
-    if (turnDisplay) {
-      turnDisplay.textContent = data.turn === 'w' ? 'White' : 'Black';
-      turnDisplay.className = data.turn === 'w' ? 'turn-white' : 'turn-black';
-    }
-    currentFen = data.fen;
-    if (fenInput) {
-      fenInput.value = data.fenNormalized || `${data.fen} ${data.turn || 'w'} - - 0 1`;
-    }
-  } else {
-    fenDisplay.textContent = 'Could not detect position';
-    if (turnDisplay) turnDisplay.textContent = '-';
-    currentFen = null;
-    if (fenInput) fenInput.value = '';
-  }
+// Stop searching and keep the lines found so far
+function stopAnalysis() {
+  if (!pendingAnalysis) return;
+  getAnalysisPort().postMessage({ type: 'STOP_ANALYSIS', requestId: pendingAnalysis.requestId });
+}
 
-  // Display selected move (Elo-based) and render board
-  if (data.moves && data.moves.length > 0) {
-    currentMoves = data.moves;
-    const moveToShow = data.selectedMove || data.moves[0];
-    displayMoves(data.moves, data.fen, moveToShow, data.engineBest);
-    renderChessBoard(data.fen, moveToShow);
-
-    // Track session suspicion (only for fresh captures, not reruns/flips)
-    if (data._isNewCapture && data.engineBest) {
-      const movesMatch = data.engineBest.move === moveToShow.move;
-      sessionCaptures++;
-      if (movesMatch) sessionEngineMatches++;
-      updateSuspicionTracker();
-    }
-  } else {
-    currentMoves = null;
-    // No moves = game over. Determine win/loss from whose turn it is.
-    const userColor = boardFlipped ? 'b' : 'w';
-    const sideToMove = data.turn || 'w';
-    if (data.fen && sideToMove !== userColor) {
-      movesList.innerHTML = '<div class="game-over victory">Victory!</div>';
-    } else if (data.fen && sideToMove === userColor) {
-      movesList.innerHTML = '<div class="game-over defeat">You Fucking Lost!</div>';
-    } else {
-      movesList.innerHTML = '<div class="placeholder">No moves found</div>';
-    }
-    renderChessBoard(data.fen, null);
-  }
+// Another position is on the board - the result is no longer wanted
+function cancelAnalysis() {
+  if (!pendingAnalysis) return;
+  getAnalysisPort().postMessage({ type: 'CANCEL_ANALYSIS', requestId: pendingAnalysis.requestId });
+  pendingAnalysis = null;
+}
 
-  // Update API cost display
-  const moveCost = data.openrouterCost || 0;
-  sessionTotalCost += moveCost;
-  const costDisplay = document.getElementById('cost-display');
-  const costMove = document.getElementById('cost-move');
-  const costSession = document.getElementById('cost-session');
-  if (costDisplay && costMove && costSession) {
-    costMove.textContent = `$${moveCost.toFixed(4)}`;
-    costSession.textContent = `$${sessionTotalCost.toFixed(4)}`;
-    costDisplay.style.display = 'block';
-  }
+function analysisProgressHtml(text) {
+  return `<div class="engine-progress">
+    <span class="engine-progress-text">${escapeHtml(text)}</span>
+    <button class="engine-stop-btn" title="Stop and keep the lines found so far">Stop</button>
+  </div>`;
 }
 
-// Unicode pieces
-const PIECE_ICONS = {
-  'K': '♔', 'Q': '♕', 'R': '♖', 'B': '♗', 'N': '♘', 'P': '♙',
-  'k': '♚', 'q': '♛', 'r': '♜', 'b': '♝', 'n': '♞', 'p': '♟'
-};
+// Engine lines so far, redrawn as the search deepens, under a progress bar
+function showEngineProgress({ requestId, fen, engine, moves }) {
+  if (!pendingAnalysis || pendingAnalysis.requestId !== requestId || !moves?.length) return;
+  if (pendingAnalysis.node && (activeBoard !== 'tree' || treeNode !== pendingAnalysis.node)) return;
 
-// Get piece at square from FEN
-function getPieceAtSquare(fen, square) {
-  if (!fen || !square) return null;
+  const label = ENGINE_BACKENDS[engine] || engine;
+  displayMoves(moves, fen);
+  movesList.insertAdjacentHTML('afterbegin', analysisProgressHtml(`${label} \u00b7 depth ${moves[0].depth}`));
+}
 
-  const file = square.charCodeAt(0) - 97; // a=0, h=7
-  const rank = 8 - parseInt(square[1]);   // 8=0, 1=7
+// A stopped search that found nothing, or a superseded one (left alone -
+// whatever replaced it owns the display now)
+function showAnalysisCancelled(requestId, message) {
+  if (!pendingAnalysis || pendingAnalysis.requestId !== requestId) return;
+  updateStatus(message, 'info');
+  movesList.innerHTML = `<div class="placeholder">${escapeHtml(message)}</div>`;
+}
 
-  const boardPart = fen.split(' ')[0];
-  const ranks = boardPart.split('/');
+// ============================================================================
+// PGN GAME VIEWER
+// ============================================================================
 
-  if (rank < 0 || rank > 7) return null;
+async function handlePgnFile() {
+  const file = pgnFileInput.files?.[0];
+  if (!file) return;
+  try {
+    const text = await file.text();
+    pgnInput.value = text;
+    loadPgnText(text);
+  } catch (error) {
+    updateStatus('Could not read PGN file: ' + error.message, 'error');
+  } finally {
+    pgnFileInput.value = '';
+  }
+}
 
-  const rankStr = ranks[rank];
-  let col = 0;
+function loadPgnText(text) {
+  if (!text || !text.trim()) {
+    updateStatus('Paste a PGN or open a .pgn file first.', 'error');
+    return;
+  }
 
-  for (const char of rankStr) {
-    if ('12345678'.includes(char)) {
-      col += parseInt(char);
-    } else {
-      if (col === file) {
-        return char;
-      }
-      col++;
-    }
-    if (col > file) break;
+  const games = ChessPgn.parsePgn(text);
+  if (games.length === 0) {
+    updateStatus('No games found in PGN', 'error');
+    return;
   }
 
-  return null;
+  pgnGames = games;
+  const broken = games.filter(g => g.error);
+  broken.forEach(g => addError('PGN', `${ChessPgn.gameTitle(g)}: ${g.error}`));
+
+  pgnGameSelect.innerHTML = games.map((g, i) =>
+    `<option value="${i}">${i + 1}. ${escapeHtml(ChessPgn.gameTitle(g))}${g.error ? ' ⚠' : ''}</option>`
+  ).join('');
+  pgnGameSelect.style.display = games.length > 1 ? 'block' : 'none';
+
+  pgnImport.style.display = 'none';
+  pgnViewer.style.display = 'block';
+  openPgnGame(0);
+
+  const summary = `${games.length} game${games.length === 1 ? '' : 's'} loaded`;
+  updateStatus(broken.length ? `${summary} (${broken.length} with errors)` : summary, broken.length ? 'error' : 'success');
 }
 
-function displayMoves(moves, fen, selectedMove, engineBest) {
-  const PIECE_NAMES = {
-    'K': 'King', 'Q': 'Queen', 'R': 'Rook', 'B': 'Bishop', 'N': 'Knight', 'P': 'Pawn',
-    'k': 'King', 'q': 'Queen', 'r': 'Rook', 'b': 'Bishop', 'n': 'Knight', 'p': 'Pawn'
-  };
+function openPgnGame(index) {
+  pgnGame = pgnGames[index];
+  if (!pgnGame) return;
+  pgnGameSelect.value = String(index);
+  pgnNodesById = ChessPgn.indexNodes(pgnGame.root);
+
+  const h = pgnGame.headers;
+  const rows = ['Event', 'Site', 'Date', 'White', 'Black', 'Result', 'ECO', 'Opening']
+    .filter(key => h[key] && h[key] !== '?')
+    .map(key => `<span class="pgn-header-key">${key}</span> ${escapeHtml(h[key])}`);
+  pgnHeaders.innerHTML = rows.join('<br>') +
+    (pgnGame.error ? `<div class="pgn-error">${escapeHtml(pgnGame.error)}</div>` : '');
+
+  renderPgnMoves();
+  renderGameReview();
+  showPgnNode(pgnGame.root);
+}
 
-  if (!moves || moves.length === 0) {
-    movesList.innerHTML = '<div class="placeholder">No moves found</div>';
-    return;
+function closePgnViewer() {
+  pgnGames = [];
+  pgnGame = null;
+  pgnNodesById = null;
+  pgnNode = null;
+  pgnViewer.style.display = 'none';
+  pgnImport.style.display = 'block';
+  cancelGameReview();
+
+  // Hand the board back to the move tree, if there is one
+  if (activeBoard === 'pgn') {
+    activeBoard = null;
+    if (treeNode) showTreeNode(treeNode);
   }
+}
 
-  const move = selectedMove || moves[0];
-  const fromSquare = move.from || (move.move ? move.move.substring(0, 2) : '');
-  const toSquare = move.to || (move.move ? move.move.substring(2, 4) : '');
+function stepPgn(direction) {
+  if (!pgnNode) return;
+  let target = pgnNode;
+  if (direction === 'first') {
+    target = pgnGame.root;
+  } else if (direction === 'prev') {
+    target = pgnNode.parent || pgnNode;
+  } else if (direction === 'next') {
+    target = pgnNode.children[0] || pgnNode;
+  } else if (direction === 'last') {
+    while (target.children[0]) target = target.children[0];
+  }
+  showPgnNode(target);
+}
 
-  const piece = getPieceAtSquare(fen, fromSquare);
-  const pieceIcon = piece ? PIECE_ICONS[piece] : '';
-  const pieceName = piece ? PIECE_NAMES[piece] : '';
-  const isWhitePiece = piece && piece === piece.toUpperCase();
+// Arrow keys / Home / End step whichever view owns the board
+function handleNavigationKeys(e) {
+  if (settingsPanel.classList.contains('active')) return;
+  if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+  const keyMap = { ArrowLeft: 'prev', ArrowRight: 'next', Home: 'first', End: 'last' };
+  if (!keyMap[e.key]) return;
+
+  if (activeBoard === 'pgn' && pgnNode) {
+    e.preventDefault();
+    stepPgn(keyMap[e.key]);
+  } else if (activeBoard === 'tree' && treeNode) {
+    e.preventDefault();
+    stepTree(keyMap[e.key]);
+  }
+}
 
-  // Always-visible engine note with risk signal
-  let engineNoteHtml = '';
-  const movesMatch = engineBest && engineBest.move === move.move;
+// Show one ply of the loaded game on the main board
+function showPgnNode(node) {
+  if (!node) return;
+  endPuzzle();
+  cancelAnalysis();
+  pgnNode = node;
+  activeBoard = 'pgn';
+  selectedSquare = null;
 
-  if (engineBest) {
-    const engineFrom = engineBest.from || engineBest.move.substring(0, 2);
-    const engineTo = engineBest.to || engineBest.move.substring(2, 4);
+  boardSection.style.display = 'block';
+  chessBoard.classList.remove('interactive');
+  currentFen = node.fen.split(' ')[0];
+  currentMoves = null;
+  currentAnalysis = null;
+  renderChessBoard(node.fen, node.uci ? { from: node.from, to: node.to } : null);
+
+  pgnPlyLabel.textContent = node.san
+    ? `${ChessPgn.moveNumberLabel(node)} ${node.san}`
+    : 'Start';
+
+  markCurrentMove(pgnMoves, node);
+  showOpening(nodePathFens(node));
+}
 
-    if (movesMatch) {
-      engineNoteHtml = `<div class="engine-note engine-match">
-        <span class="risk-icon">&#9888;</span>
-        <span>Engine best \u2014 looks suspicious</span>
-      </div>`;
-    } else {
-      engineNoteHtml = `<div class="engine-note engine-differ">
-        <span class="safe-icon">&#10003;</span>
-        <span>Engine prefers ${engineFrom}\u2192${engineTo}</span>
-      </div>`;
-    }
+// Highlight the move for `node` in a rendered move list
+function markCurrentMove(container, node) {
+  container.querySelectorAll('.pgn-move.current').forEach(el => el.classList.remove('current'));
+  const moveEl = container.querySelector(`[data-node-id="${node.id}"]`);
+  if (moveEl) {
+    moveEl.classList.add('current');
+    moveEl.scrollIntoView({ block: 'nearest' });
+  }
+}
 
+function analyzePgnPosition() {
+  if (!pgnNode) return;
+  analyzeFenPosition(pgnNode.fen, ChessPgn.writePgn(pgnGame), nodePathFens(pgnNode.parent));
+}
+
+// Main line with nested variations in parentheses, comments inline
+function renderPgnMoves() {
+  const root = pgnGame.root;
+  let html = root.comments.map(c => `<span class="pgn-comment">${escapeHtml(c)}</span>`).join(' ');
+  if (root.children.length) {
+    html += renderPgnLine(root.children[0], root.children.slice(1));
   }
+  html += ` <span class="pgn-result">${pgnGame.result}</span>`;
+  pgnMoves.innerHTML = html;
+}
 
-  // Build top engine lines (show when 2+ moves available)
-  let engineLinesHtml = '';
-  if (moves.length >= 2) {
-    const topMoves = moves.slice(0, 5);
-    const chips = topMoves.map(m => {
-      const mFrom = m.from || (m.move ? m.move.substring(0, 2) : '');
-      const mTo = m.to || (m.move ? m.move.substring(2, 4) : '');
-      const mPiece = getPieceAtSquare(fen, mFrom);
-      const mIcon = mPiece ? PIECE_ICONS[mPiece] : '';
-      let evalText = '';
-      if (m.evaluation !== undefined && m.evaluation !== null) {
-        if (typeof m.evaluation === 'string' && m.evaluation.startsWith('M')) {
-          evalText = m.evaluation;
-        } else {
-          const ev = parseFloat(m.evaluation);
-          evalText = (ev >= 0 ? '+' : '') + ev.toFixed(1);
-        }
+function renderPgnLine(first, alternatives = []) {
+  let html = '';
+  let node = first;
+  let needNumber = true;
+  let pendingAlternatives = alternatives;
+
+  while (node) {
+    const isWhite = node.parent.fen.split(' ')[1] === 'w';
+    const number = (isWhite || needNumber) ? `${ChessPgn.moveNumberLabel(node)} ` : '';
+    const nags = node.nags.map(n => ChessPgn.NAG_SYMBOLS[n] || `$${n}`).join('');
+    const mark = REVIEW_MARKS[node.review?.quality];
+    const markHtml = mark
+      ? `<span class="review-mark quality-${node.review.quality}" title="${MOVE_QUALITY_LABELS[node.review.quality]}">${mark}</span>`
+      : '';
+    html += `<span class="pgn-move" data-node-id="${node.id}">${number}${escapeHtml(node.san)}${nags}${markHtml}</span> `;
+
+    // Move tree nodes carry their own engine evaluation
+    const nodeEval = node.evaluating ? '\u2026' : formatEvaluation(node.analysis?.moves?.[0]?.evaluation);
+    if (nodeEval) html += `<span class="tree-eval">${nodeEval}</span> `;
+    needNumber = false;
+
+    if (node.comments.length) {
+      html += node.comments.map(c => `<span class="pgn-comment">${escapeHtml(c)}</span>`).join(' ') + ' ';
+      needNumber = true;
+    }
+
+    if (pendingAlternatives.length) {
+      for (const alt of pendingAlternatives) {
+        html += `<span class="pgn-variation">(${renderPgnLine(alt).trim()})</span> `;
       }
-      return `<div class="engine-line-chip">
-        <div class="chip-move">
-          <span class="chip-piece">${mIcon}</span>
-          <span>${mFrom}</span>
-          <span class="chip-arrow">\u2192</span>
-          <span>${mTo}</span>
-        </div>
-        ${evalText ? `<span class="chip-eval">${evalText}</span>` : ''}
-      </div>`;
-    }).join('');
+      needNumber = true;
+    }
 
-    engineLinesHtml = `<div class="engine-lines">
-      <div class="engine-lines-title">Top engine lines</div>
-      <div class="engine-lines-row">${chips}</div>
-    </div>`;
+    pendingAlternatives = node.children.slice(1);
+    node = node.children[0];
   }
 
-  movesList.innerHTML = `
-    <div class="best-move-container">
-      <div class="best-move-content">
-        <span class="best-move-piece ${isWhitePiece ? 'white-piece' : 'black-piece'}">${pieceIcon}</span>
-        <div class="best-move-notation">
-          <span class="best-move-from">${fromSquare}</span>
-          <span class="best-move-arrow">\u2192</span>
-          <span class="best-move-to">${toSquare}</span>
-        </div>
-      </div>
-      ${pieceName ? `<span class="best-move-name">${pieceName}</span>` : ''}
-    </div>
-    ${engineNoteHtml}
-    ${engineLinesHtml}
-  `;
+  return html;
 }
 
 // ============================================================================
-// SESSION SUSPICION TRACKER
+// GAME REVIEW
 // ============================================================================
 
-function getSuspicionThreshold(elo) {
-  // Linear ramp: 800 Elo -> 40% accuracy expected, 2400 -> 90%
-  const clamped = Math.max(800, Math.min(2400, elo));
-  return 40 + (clamped - 800) * (50 / 1600);
-}
+// The service worker evaluates every position of the open game's main line
+// (REVIEW_GAME) and labels each move. Results stay on the game: each main
+// line node gets `review` and the game gets `review.players`, so switching
+// games in a batch keeps them. Inaccuracies, mistakes and blunders are
+// marked in the move list, and the summary lists them as links.
+
+// One search per ply, so shallower than a single analysis
+const REVIEW_DEPTH = 14;
+const REVIEW_MARKS = { inaccuracy: '?!', mistake: '?', blunder: '??' };
 
-function updateSuspicionTracker() {
-  const tracker = document.getElementById('session-tracker');
-  const accuracyEl = document.getElementById('tracker-accuracy');
-  const detailEl = document.getElementById('tracker-detail');
-  const barEl = document.getElementById('tracker-bar');
-  const thresholdEl = document.getElementById('tracker-threshold');
+let gameReview = null;  // { game, requestId, done, total } while one runs
 
-  if (sessionCaptures === 0) {
-    tracker.style.display = 'none';
+async function reviewPgnGame() {
+  if (!pgnGame || gameReview) return;
+  const game = pgnGame;
+  if (!FINISHED_RESULTS.includes(game.result)) {
+    updateStatus('Game review is for finished games. This game has no Result tag, or its Result is *.', 'error');
     return;
   }
 
-  tracker.style.display = 'flex';
+  getAnalysisPort();
+  const requestId = ++analysisRequestSeq;
+  gameReview = { game, requestId, done: 0, total: ChessPgn.mainLine(game.root).length + 1 };
+  renderGameReview();
+  updateStatus('Reviewing the game...', 'loading');
 
-  const accuracy = Math.round((sessionEngineMatches / sessionCaptures) * 100);
-  const currentElo = parseInt(targetEloSlider.value) || 1500;
-  const threshold = getSuspicionThreshold(currentElo);
-
-  accuracyEl.textContent = `${accuracy}%`;
-  detailEl.textContent = `${sessionEngineMatches}/${sessionCaptures}`;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'REVIEW_GAME',
+      pgn: ChessPgn.writePgn(game),
+      requestId,
+      depth: REVIEW_DEPTH
+    });
+    // Cancelled, or replaced by another analysis that owns the status now
+    if (response.cancelled) {
+      if (!pendingAnalysis) updateStatus('Game review cancelled', 'info');
+      return;
+    }
+    if (response.error) throw new Error(response.error);
 
-  const overThreshold = accuracy > threshold;
-  const wayOver = accuracy > threshold + 15;
+    const line = ChessPgn.mainLine(game.root);
+    if (response.moves.length !== line.length) throw new Error('The review does not match the game');
+    line.forEach((node, index) => { node.review = response.moves[index]; });
+    game.review = { players: response.players };
+    updateStatus('Game reviewed', 'success');
+  } catch (error) {
+    console.error('[Panel] Game review failed:', error);
+    updateStatus('Game review failed: ' + error.message, 'error');
+    addError('Game Review', error.message);
+  } finally {
+    if (gameReview?.requestId === requestId) gameReview = null;
+    if (pgnGame === game) renderPgnMoves();
+    renderGameReview();
+  }
+}
 
-  accuracyEl.className = 'tracker-accuracy' +
-    (wayOver ? ' danger' : overThreshold ? ' warning' : '');
-  barEl.className = 'tracker-bar' +
-    (wayOver ? ' danger' : overThreshold ? ' warning' : '');
+function cancelGameReview() {
+  if (!gameReview) return;
+  getAnalysisPort().postMessage({ type: 'CANCEL_ANALYSIS', requestId: gameReview.requestId });
+}
 
-  barEl.style.width = `${Math.min(accuracy, 100)}%`;
-  thresholdEl.style.left = `${threshold}%`;
+function showReviewProgress({ requestId, done, total }) {
+  if (gameReview?.requestId !== requestId) return;
+  Object.assign(gameReview, { done, total });
+  renderGameReview();
 }
 
-// Render a mini board with arrow showing the move
-function renderMiniBoard(container, fen, move) {
-  if (!fen) return;
+// Progress while the open game is being reviewed, then the per-player
+// summary and the moves that lost the most
+function renderGameReview() {
+  pgnReviewBtn.disabled = !!gameReview;
+  if (gameReview && gameReview.game === pgnGame) {
+    gameReviewPanel.innerHTML = `<div class="engine-progress">
+      <span class="engine-progress-text">Reviewing \u00b7 ${gameReview.done}/${gameReview.total} positions</span>
+      <button class="engine-stop-btn" data-review-cancel>Cancel</button>
+    </div>`;
+    gameReviewPanel.style.display = 'block';
+    return;
+  }
 
-  const MINI_PIECES = {
-    'K': '♔', 'Q': '♕', 'R': '♖', 'B': '♗', 'N': '♘', 'P': '♙',
-    'k': '♚', 'q': '♛', 'r': '♜', 'b': '♝', 'n': '♞', 'p': '♟'
-  };
+  const review = pgnGame?.review;
+  if (!review) {
+    gameReviewPanel.innerHTML = '';
+    gameReviewPanel.style.display = 'none';
+    return;
+  }
 
-  // Parse move to get from/to squares
-  let fromSquare = null;
-  let toSquare = null;
+  const names = { w: pgnGame.headers.White || 'White', b: pgnGame.headers.Black || 'Black' };
+  const rows = ['w', 'b'].map(color => {
+    const player = review.players[color];
+    const accuracy = player.accuracy === null ? '\u2013' : `${Math.round(player.accuracy)}%`;
+    const acpl = player.acpl === null ? '\u2013' : Math.round(player.acpl);
+    return `<tr>
+      <td>${escapeHtml(names[color])}</td>
+      <td>${accuracy}</td>
+      <td>${acpl}</td>
+      ${Object.keys(REVIEW_MARKS).map(quality => `<td>${player.counts[quality]}</td>`).join('')}
+    </tr>`;
+  }).join('');
+  const header = `<tr><th></th><th>Accuracy</th><th>ACPL</th>${Object.keys(REVIEW_MARKS)
+    .map(quality => `<th class="quality-${quality}" title="${MOVE_QUALITY_LABELS[quality]}s">${REVIEW_MARKS[quality]}</th>`).join('')}</tr>`;
+
+  const moments = ChessPgn.mainLine(pgnGame.root)
+    .filter(node => REVIEW_MARKS[node.review?.quality])
+    .map(node => {
+      const { quality, bestSan, evaluation } = node.review;
+      const details = [bestSan && `best ${bestSan}`, formatEvaluation(evaluation)].filter(Boolean).join(' \u00b7 ');
+      return `<div class="review-moment" data-node-id="${node.id}">
+        <span class="quality-label quality-${quality}">${MOVE_QUALITY_LABELS[quality]}</span>
+        <span>${ChessPgn.moveNumberLabel(node)} ${escapeHtml(node.san)}</span>
+        <span class="review-moment-details">${escapeHtml(details)}</span>
+      </div>`;
+    }).join('');
 
-  const moveStr = move.move || '';
-  if (moveStr.length >= 4 && /^[a-h][1-8][a-h][1-8]/.test(moveStr)) {
-    fromSquare = moveStr.substring(0, 2);
-    toSquare = moveStr.substring(2, 4);
+  gameReviewPanel.innerHTML = `<table class="puzzle-theme-stats">${header}${rows}</table>
+    ${moments || '<div class="form-hint">No inaccuracies, mistakes or blunders.</div>'}`;
+  gameReviewPanel.style.display = 'block';
+}
+
+// Cancel stops a running review; a listed move jumps the board to that ply
+function handleGameReviewClick(e) {
+  if (e.target.closest('[data-review-cancel]')) {
+    cancelGameReview();
+    return;
   }
+  const moment = e.target.closest('[data-node-id]');
+  if (moment && pgnNodesById) showPgnNode(pgnNodesById.get(parseInt(moment.dataset.nodeId, 10)));
+}
 
-  // Parse FEN
-  const boardPart = fen.split(' ')[0];
-  const ranks = boardPart.split('/');
+// ============================================================================
+// MOVE TREE
+// ============================================================================
 
-  // Build mini board HTML
-  let boardHtml = '<div class="mini-board">';
+// Root a fresh tree at the analysed position; the root keeps that analysis
+function startMoveTree(data) {
+  const fen = data.fenNormalized || (data.fen ? `${data.fen} ${data.turn || 'w'} - - 0 1` : null);
+  if (!fen) {
+    clearMoveTree();
+    return;
+  }
 
-  for (let rankIndex = 0; rankIndex < 8; rankIndex++) {
-    const rank = ranks[rankIndex];
-    const rankNum = 8 - rankIndex;
-    let fileIndex = 0;
+  endPuzzle();
+  treeRoot = ChessPgn.createRoot(fen);
+  treeRoot.analysis = data;
+  treeRoot.sourcePgn = analysisSourcePgn;
+  treeRoot.history = analysisHistory;
+  treeNodesById = ChessPgn.indexNodes(treeRoot);
+  treeNode = treeRoot;
+  activeBoard = 'tree';
+  selectedSquare = null;
+
+  treeSection.style.display = 'block';
+  chessBoard.classList.add('interactive');
+  renderMoveTree();
+  showOpening(treeNodeFens(treeNode));
+}
+
+function clearMoveTree() {
+  treeRoot = null;
+  treeNode = null;
+  treeNodesById = null;
+  selectedSquare = null;
+  if (activeBoard === 'tree') activeBoard = null;
+
+  treeSection.style.display = 'none';
+  treeMoves.innerHTML = '';
+  chessBoard.classList.remove('interactive');
+}
+
+function renderMoveTree() {
+  if (!treeRoot) return;
+  treeMoves.innerHTML = treeRoot.children.length
+    ? renderPgnLine(treeRoot.children[0], treeRoot.children.slice(1))
+    : '<span class="tree-empty">Click a piece, then a square, to play a move.</span>';
+  if (treeNode) markCurrentMove(treeMoves, treeNode);
+}
+
+// Show a tree node: its stored evaluation if it has one, else the bare position
+function showTreeNode(node) {
+  if (!node) return;
+  endPuzzle();
+  if (pendingAnalysis && pendingAnalysis.node !== node) cancelAnalysis();
+  treeNode = node;
+  activeBoard = 'tree';
+  selectedSquare = null;
+  chessBoard.classList.add('interactive');
+
+  const lastMove = node.uci ? { from: node.from, to: node.to } : null;
+  if (node.analysis && !node.evaluating) {
+    showAnalysis(node.analysis);
+    if (!node.analysis.moves?.length) renderChessBoard(node.fen, lastMove);
+  } else {
+    const [boardPart, turn] = node.fen.split(' ');
+    showPosition({ fen: boardPart, fenNormalized: node.fen, turn });
+    currentMoves = null;
+    currentAnalysis = null;
+    if (node.analysisError) {
+      movesList.innerHTML = `<div class="placeholder" style="color: #e74c3c;">${escapeHtml(node.analysisError)}</div>`;
+    } else if (node.evaluating) {
+      movesList.innerHTML = analysisProgressHtml('Calculating best move...');
+    } else {
+      movesList.innerHTML = '<div class="placeholder">Not evaluated - press Evaluate</div>';
+    }
+    renderChessBoard(node.fen, lastMove);
+  }
+
+  markCurrentMove(treeMoves, node);
+  showOpening(treeNodeFens(node));
+}
+
+// Each node is evaluated once through ANALYZE_FEN; `force` re-runs it.
+// `search` holds per-request options (see readSearchOptions).
+async function evaluateTreeNode(node, force = false, search = {}) {
+  if (node.evaluating || (node.analysis && !force)) return;
+  node.evaluating = true;
+  node.analysisError = null;
+  if (node === treeNode && activeBoard === 'tree') showTreeNode(node);
+  renderMoveTree();
+
+  const requestId = beginAnalysisRequest(node);
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'ANALYZE_FEN',
+      fen: node.fen,
+      pgn: treeRoot?.sourcePgn || null,
+      requestId,
+      ...search
+    });
+    // Cancelled evaluations leave the node unevaluated; Evaluate retries it
+    if (!response.cancelled) {
+      if (response.error) {
+        throw new Error(response.error);
+      }
+      node.analysis = response;
+    }
+  } catch (error) {
+    console.error('[Panel] Move tree evaluation failed:', error);
+    node.analysisError = error.message;
+    addError('Move Tree', error.message);
+  } finally {
+    node.evaluating = false;
+    endAnalysisRequest(requestId);
+  }
+
+  renderMoveTree();
+  if (node === treeNode && activeBoard === 'tree') showTreeNode(node);
+}
+
+// Depth, lines and candidate moves from the options under the move tree.
+// Blank fields are left out, so the engine settings apply.
+function readSearchOptions() {
+  const search = {};
+  const depth = clampInt(analysisDepthInput.value, 1, 60, null);
+  const multiPv = clampInt(analysisMultiPvInput.value, 1, 10, null);
+  const searchMoves = analysisSearchMovesInput.value.split(/[\s,]+/).filter(Boolean);
+  if (depth) search.depth = depth;
+  if (multiPv) search.multiPv = multiPv;
+  if (searchMoves.length > 0) search.searchMoves = searchMoves;
+  return search;
+}
+
+// Click a piece of the side to move, then a target square. The move tree
+// and the puzzle trainer share the board.
+function handleBoardClick(e) {
+  let fen, play;
+  if (activeBoard === 'tree' && treeNode) {
+    fen = treeNode.fen;
+    play = playTreeMove;
+  } else if (activeBoard === 'puzzle' && puzzleAwaitsMove()) {
+    fen = puzzle.fen;
+    play = playPuzzleMove;
+  } else {
+    return;
+  }
+
+  // The promotion picker plays the chosen piece; a click beside it cancels
+  const picker = e.target.closest('.promotion-picker');
+  if (picker) {
+    const uci = e.target.closest('[data-uci]')?.dataset.uci;
+    picker.remove();
+    selectedSquare = null;
+    chessBoard.querySelectorAll('.selected, .legal-target').forEach(el => el.classList.remove('selected', 'legal-target'));
+    if (uci && ChessRules.isLegalUci(fen, uci)) play(uci);
+    return;
+  }
+
+  const squareEl = e.target.closest('[data-square]');
+  if (!squareEl) return;
+
+  const square = squareEl.dataset.square;
+  const legal = ChessRules.generateLegalMoves(fen);
+
+  if (selectedSquare) {
+    const moves = legal.filter(m => m.from === selectedSquare && m.to === square);
+    // A pawn reaching the last rank has one move per piece: ask which
+    if (moves.length > 1) {
+      showPromotionPicker(fen, moves);
+      return;
+    }
+    if (moves.length === 1) {
+      play(moves[0].uci);
+      return;
+    }
+  }
+
+  const canMove = square !== selectedSquare && legal.some(m => m.from === square);
+  selectedSquare = canMove ? square : null;
+
+  chessBoard.querySelectorAll('.selected, .legal-target').forEach(el => el.classList.remove('selected', 'legal-target'));
+  if (selectedSquare) {
+    squareEl.classList.add('selected');
+    legal.filter(m => m.from === selectedSquare).forEach(m => {
+      chessBoard.querySelector(`[data-square="${m.to}"]`)?.classList.add('legal-target');
+    });
+  }
+}
+
+// Queen, rook, bishop and knight over the board, in the mover's colour
+function showPromotionPicker(fen, moves) {
+  const white = fen.split(' ')[1] === 'w';
+  const buttons = ['q', 'r', 'b', 'n']
+    .map(piece => moves.find(m => m.promotion === piece))
+    .filter(Boolean)
+    .map(m => `<button class="promotion-choice" data-uci="${m.uci}">
+      <span class="piece ${white ? 'white' : 'black'}">${PIECES[white ? m.promotion.toUpperCase() : m.promotion]}</span>
+    </button>`)
+    .join('');
+  chessBoard.querySelector('.promotion-picker')?.remove();
+  chessBoard.insertAdjacentHTML('beforeend', `<div class="promotion-picker" title="Promote to">${buttons}</div>`);
+}
+
+// Play a move from the current node: follow an existing branch or add a new one
+function playTreeMove(uci) {
+  const isNew = !treeNode.children.some(child => child.uci === uci);
+  const node = ChessPgn.addUciMove(treeNode, uci);
+  if (!node) return;
+
+  if (isNew) {
+    treeNodesById.set(node.id, node);
+    renderMoveTree();
+  }
+  showTreeNode(node);
+  evaluateTreeNode(node);
+}
+
+function stepTree(direction) {
+  if (!treeNode) return;
+  let target = treeNode;
+  if (direction === 'first') {
+    target = treeRoot;
+  } else if (direction === 'prev') {
+    target = treeNode.parent || treeNode;
+  } else if (direction === 'next') {
+    target = treeNode.children[0] || treeNode;
+  } else if (direction === 'last') {
+    while (target.children[0]) target = target.children[0];
+  }
+  showTreeNode(target);
+}
+
+function promoteTreeNode() {
+  if (!treeNode || !ChessPgn.promoteVariation(treeNode)) return;
+  renderMoveTree();
+}
+
+function deleteTreeNode() {
+  if (!treeNode?.parent) return;
+  const parent = ChessPgn.deleteNode(treeNode);
+  treeNodesById = ChessPgn.indexNodes(treeRoot);
+  renderMoveTree();
+  showTreeNode(parent);
+}
+
+// ============================================================================
+// PUZZLE TRAINER
+// ============================================================================
+
+// Longest engine line used as a solution (solver, reply, solver, ...)
+const PUZZLE_MAX_PLIES = 5;
+// Pause before the reply, so the solver sees their move land
+const PUZZLE_REPLY_DELAY_MS = 500;
+
+// The puzzle on the board:
+//   { startFen, fen, solution, ply, solver, lastMove, hintStage, hints,
+//     mistakes, feedback, done, gaveUp, error, sourcePgn, title, next,
+//     returnTo, rated, score, ratingAfter, ratingChange, card, cardDue,
+//     drill }
+// `solution` is UCI, alternating the solver's moves and the replies. It is
+// null while the engine line is being fetched. `next`, if set, opens the
+// following puzzle from the same source. `returnTo` is the view ('tree' or
+// 'pgn') that Close goes back to. Database puzzles carry `rated`
+// ({ id, rating, rd, themes }) and count towards the puzzle rating. Review
+// cards carry their StudyDb `card` and are graded once they're done.
+// Repertoire drills carry `drill` ({ color, nodes, missed }): any repertoire
+// move is accepted, and each position is graded as it is answered.
+
+// Solve the position on the main board
+function solveAsPuzzle() {
+  if (activeBoard === 'pgn' && pgnNode) {
+    startPuzzle(pgnPuzzle(pgnGames.indexOf(pgnGame), pgnNode));
+  } else if (activeBoard === 'tree' && treeNode) {
+    startPuzzle({
+      fen: treeNode.fen,
+      solution: engineSolution(treeNode.analysis),
+      sourcePgn: treeRoot.sourcePgn,
+      title: 'Position from the move tree'
+    });
+  } else {
+    updateStatus('Analyse a position or open a game first.', 'error');
+  }
+}
+
+// Games set up from a FEN tag are puzzles: the main line from here is the
+// stored solution, and Next moves on to the next such game. Other games are
+// solved against the engine.
+function pgnPuzzle(index, node) {
+  const game = pgnGames[index];
+  const isPuzzle = !!game.headers.FEN;
+  const nextIndex = pgnGames.findIndex((g, i) => i > index && g.headers.FEN);
+
+  return {
+    fen: node.fen,
+    solution: isPuzzle ? ChessPgn.mainLine(node).map(n => n.uci) : null,
+    sourcePgn: ChessPgn.writePgn(game),
+    title: ChessPgn.gameTitle(game),
+    next: isPuzzle && nextIndex !== -1
+      ? () => startPuzzle(pgnPuzzle(nextIndex, pgnGames[nextIndex].root))
+      : null
+  };
+}
+
+// The best line of an analysis, cut to end on the solver's move
+function engineSolution(analysis) {
+  const best = analysis?.moves?.[0];
+  const line = (best?.continuationUci?.length ? best.continuationUci : [best?.move]).filter(Boolean);
+  const plies = Math.min(line.length, PUZZLE_MAX_PLIES);
+  return plies > 0 ? line.slice(0, plies % 2 ? plies : plies - 1) : null;
+}
+
+function startPuzzle({ fen, solution = null, lastMove = null, sourcePgn = null, title = '', next = null, rated = null, card = null, drill = null }) {
+  const returnTo = puzzle ? puzzle.returnTo : activeBoard;
+  endPuzzle();
+  cancelAnalysis();
+  puzzle = {
+    startFen: fen,
+    fen,
+    solution: solution?.length ? solution : null,
+    ply: 0,
+    solver: fen.split(' ')[1] || 'w',
+    lastMove,
+    hintStage: 0,
+    hints: 0,
+    mistakes: 0,
+    feedback: null,
+    done: false,
+    gaveUp: false,
+    error: null,
+    sourcePgn,
+    title,
+    next,
+    returnTo,
+    rated,
+    score: null,
+    ratingAfter: null,
+    ratingChange: null,
+    card,
+    cardDue: null,
+    drill
+  };
+
+  activeBoard = 'puzzle';
+  selectedSquare = null;
+  movesSection.style.display = 'none';
+  treeSection.style.display = 'none';
+  boardSection.style.display = 'block';
+  puzzleSection.style.display = 'block';
+  chessBoard.classList.add('interactive');
+  const [boardPart, turn] = fen.split(' ');
+  showPosition({ fen: boardPart, fenNormalized: fen, turn });
+  showOpening([fen]);
+
+  renderPuzzle();
+  if (!puzzle.solution) fetchPuzzleSolution(puzzle);
+}
+
+// No stored solution: the engine's best line is the answer
+async function fetchPuzzleSolution(p) {
+  const requestId = beginAnalysisRequest(p);
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'ANALYZE_FEN',
+      fen: p.startFen,
+      pgn: p.sourcePgn,
+      requestId
+    });
+    if (response.cancelled) return;
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    p.solution = engineSolution(response);
+    if (!p.solution) {
+      throw new Error('The engine found no moves in this position');
+    }
+  } catch (error) {
+    if (puzzle !== p) return;
+    p.error = error.message;
+    addError('Puzzle', error.message);
+  } finally {
+    endAnalysisRequest(requestId);
+  }
+  if (puzzle === p) renderPuzzle();
+}
+
+// Solver's turn: a solution to follow and an even ply
+function puzzleAwaitsMove() {
+  return !!puzzle && !!puzzle.solution && !puzzle.done && puzzle.ply % 2 === 0;
+}
+
+function playPuzzleMove(uci) {
+  const p = puzzle;
+  let expected = p.solution[p.ply];
+  selectedSquare = null;
+
+  const san = ChessRules.uciToSan(p.fen, uci);
+
+  // A drill takes any of the repertoire's moves and follows it from there
+  if (p.drill && uci !== expected) {
+    const line = drillAlternative(p, uci);
+    if (line) {
+      p.solution = [...p.solution.slice(0, p.ply), ...line];
+      expected = uci;
+    }
+  }
+  const isLast = p.ply === p.solution.length - 1;
+
+  // Any mate on the final move is as good as the stored one
+  const mates = isLast && ChessRules.getGameStatus(ChessRules.applyUci(p.fen, uci)).checkmate;
+  if (uci !== expected && !mates) {
+    p.mistakes++;
+    scorePuzzle(p, 0);
+    missDrillNode(p);
+    p.feedback = { type: 'wrong', text: `✗ ${san} is not it - try again` };
+    renderPuzzle();
+    return;
+  }
+
+  gradeDrillNode(p);
+  advancePuzzle(uci);
+  p.feedback = { type: 'correct', text: `✓ ${san}${p.done ? '' : ' - correct, keep going'}` };
+  if (p.done) {
+    scorePuzzle(p, 1);
+    gradeCard(p);
+  }
+  renderPuzzle();
+  if (!p.done) setTimeout(() => playPuzzleReply(p), PUZZLE_REPLY_DELAY_MS);
+}
+
+function playPuzzleReply(p) {
+  if (puzzle !== p || p.done) return;
+  const uci = p.solution[p.ply];
+  const san = ChessRules.uciToSan(p.fen, uci);
+  advancePuzzle(uci);
+  p.feedback = { type: 'info', text: `Reply: ${san}` };
+  renderPuzzle();
+}
+
+function advancePuzzle(uci) {
+  const p = puzzle;
+  p.fen = ChessRules.applyUci(p.fen, uci);
+  p.lastMove = { from: uci.slice(0, 2), to: uci.slice(2, 4) };
+  p.ply++;
+  p.hintStage = 0;
+  if (p.ply >= p.solution.length) p.done = true;
+}
+
+// First the piece to move, then where it goes
+function showPuzzleHint() {
+  if (!puzzleAwaitsMove() || puzzle.hintStage >= 2) return;
+  puzzle.hintStage++;
+  puzzle.hints++;
+  scorePuzzle(puzzle, 0);
+  missDrillNode(puzzle);
+  const move = puzzle.solution[puzzle.ply];
+  const piece = PIECE_NAMES[getPieceAtSquare(puzzle.fen, move.slice(0, 2))] || 'piece';
+  puzzle.feedback = {
+    type: 'info',
+    text: puzzle.hintStage === 1 ? `Hint: move your ${piece.toLowerCase()}` : `Hint: ${piece.toLowerCase()} to ${move.slice(2, 4)}`
+  };
+  renderPuzzle();
+}
+
+function revealPuzzleSolution() {
+  const p = puzzle;
+  if (!p?.solution || p.done) return;
+  const sanLine = [];
+  let fen = p.fen;
+  for (const uci of p.solution.slice(p.ply)) {
+    sanLine.push(ChessRules.uciToSan(fen, uci));
+    fen = ChessRules.applyUci(fen, uci);
+  }
+  const remaining = ChessRules.formatSanLine(p.fen, sanLine);
+  gradeDrillNode(p, true);
+  p.done = true;
+  p.gaveUp = true;
+  scorePuzzle(p, 0);
+  gradeCard(p);
+  p.feedback = { type: 'info', text: `Solution: ${remaining}` };
+  renderPuzzle();
+}
+
+function renderPuzzle() {
+  const p = puzzle;
+  if (!p) return;
+  const side = p.solver === 'w' ? 'White' : 'Black';
+
+  renderChessBoard(p.fen, p.lastMove);
+  if (puzzleAwaitsMove() && p.hintStage > 0) {
+    const move = p.solution[p.ply];
+    const squares = p.hintStage === 1 ? [move.slice(0, 2)] : [move.slice(0, 2), move.slice(2, 4)];
+    squares.forEach(sq => chessBoard.querySelector(`[data-square="${sq}"]`)?.classList.add('hint-square'));
+  }
+
+  let status;
+  if (p.error) {
+    status = p.error;
+  } else if (!p.solution) {
+    status = 'Finding the engine line...';
+  } else if (p.gaveUp) {
+    status = 'Solution shown';
+  } else if (p.done) {
+    const extras = [
+      p.mistakes ? `${p.mistakes} mistake${p.mistakes === 1 ? '' : 's'}` : '',
+      p.hints ? `${p.hints} hint${p.hints === 1 ? '' : 's'}` : ''
+    ].filter(Boolean);
+    status = `Solved!${extras.length ? ` (${extras.join(', ')})` : ''}`;
+  } else if (puzzleAwaitsMove()) {
+    const moveNo = p.ply / 2 + 1;
+    const total = Math.ceil(p.solution.length / 2);
+    status = `${side} to move - find the best move${total > 1 ? ` (${moveNo}/${total})` : ''}`;
+  } else {
+    status = 'Opponent is replying...';
+  }
+
+  const change = p.ratingChange !== null ? ` · your rating ${p.ratingAfter} (${p.ratingChange >= 0 ? '+' : ''}${p.ratingChange})` : '';
+  const due = p.cardDue !== null ? ` · next review ${formatDue(p.cardDue)}` : '';
+  puzzleTitle.textContent = p.title + change + due;
+  puzzleStatus.textContent = status;
+  puzzleFeedback.textContent = p.feedback?.text || '';
+  puzzleFeedback.className = `puzzle-feedback ${p.feedback?.type || ''}`;
+  puzzleHintBtn.disabled = !puzzleAwaitsMove() || p.hintStage >= 2;
+  puzzleSolutionBtn.disabled = !p.solution || p.done;
+  puzzleNextBtn.style.display = p.next ? 'inline-block' : 'none';
+  cardDeleteBtn.style.display = p.card ? 'inline-block' : 'none';
+}
+
+// Drop the puzzle; whatever takes the board next draws it
+function endPuzzle() {
+  if (!puzzle) return;
+  if (pendingAnalysis?.node === puzzle) cancelAnalysis();
+  puzzle = null;
+  puzzleSection.style.display = 'none';
+  if (activeBoard === 'puzzle') activeBoard = null;
+}
+
+// Close button: back to the move tree or game the puzzle came from
+function closePuzzle() {
+  const returnTo = puzzle?.returnTo;
+  endPuzzle();
+  chessBoard.classList.remove('interactive');
+  if (returnTo === 'pgn' && pgnNode) {
+    showPgnNode(pgnNode);
+  } else if (treeNode) {
+    treeSection.style.display = 'block';
+    movesSection.style.display = 'block';
+    showTreeNode(treeNode);
+  } else if (pgnNode) {
+    showPgnNode(pgnNode);
+  } else {
+    boardSection.style.display = 'none';
+  }
+}
+
+// ============================================================================
+// PUZZLE DATABASE (Lichess puzzle CSV in IndexedDB)
+// ============================================================================
+
+// Rows per IndexedDB transaction while importing
+const PUZZLE_IMPORT_BATCH = 1000;
+
+async function refreshPuzzleDb() {
+  try {
+    const [count, themes, stats] = await Promise.all([
+      StudyDb.countPuzzles(),
+      StudyDb.listPuzzleThemes(),
+      loadPuzzleRating()
+    ]);
+    const rating = stats.attempts ? ` · your rating ${formatRating(stats.overall)}` : '';
+    puzzleDbCount.textContent = count
+      ? `${count.toLocaleString()} puzzle${count === 1 ? '' : 's'} stored${rating}`
+      : 'No puzzles imported';
+
+    const selected = puzzleThemeSelect.value;
+    puzzleThemeSelect.innerHTML = '<option value="">All themes</option>' +
+      themes.map(theme => `<option value="${escapeHtml(theme)}">${escapeHtml(theme)}</option>`).join('');
+    if (themes.includes(selected)) puzzleThemeSelect.value = selected;
+  } catch (error) {
+    console.error('[Panel] Puzzle database unavailable:', error);
+    puzzleDbCount.textContent = 'Puzzle database unavailable';
+  }
+}
+
+async function handlePuzzleFile() {
+  const file = puzzleFileInput.files?.[0];
+  if (!file) return;
+  try {
+    if (/\.(zst|bz2|gz|zip)$/i.test(file.name)) {
+      throw new Error('Decompress the file first (e.g. unzstd lichess_db_puzzle.csv.zst)');
+    }
+    updateStatus('Importing puzzles...', 'loading');
+    const { imported, skipped, firstError } = await importPuzzleCsv(file, (count) => {
+      updateStatus(`Importing puzzles... ${count.toLocaleString()}`, 'loading');
+    });
+    if (skipped) addError('Puzzles', `${skipped} row${skipped === 1 ? '' : 's'} skipped (first: ${firstError})`);
+    updateStatus(`${imported.toLocaleString()} puzzles imported${skipped ? `, ${skipped} skipped` : ''}`, imported ? 'success' : 'error');
+  } catch (error) {
+    updateStatus('Puzzle import failed: ' + error.message, 'error');
+    addError('Puzzles', error.message);
+  } finally {
+    puzzleFileInput.value = '';
+    refreshPuzzleDb();
+  }
+}
+
+// Reads the file as a stream, line by line, so a large export never has to
+// fit in memory. Rows that fail validation are counted and skipped.
+async function importPuzzleCsv(file, onProgress) {
+  const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+  let columns = null;
+  let buffer = '';
+  let batch = [];
+  let imported = 0;
+  let skipped = 0;
+  let firstError = null;
+
+  const takeLine = (line) => {
+    if (!line.trim()) return;
+    if (!columns) {
+      const header = ChessPuzzles.readColumns(line);
+      columns = header.columns;
+      if (header.isHeader) return;
+    }
+    const { record, error } = ChessPuzzles.parseRow(line, columns);
+    if (record) {
+      batch.push(record);
+    } else {
+      skipped++;
+      firstError = firstError || error;
+    }
+  };
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await StudyDb.putPuzzles(batch);
+    imported += batch.length;
+    batch = [];
+    onProgress(imported);
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(line => takeLine(line.replace(/\r$/, '')));
+    if (batch.length >= PUZZLE_IMPORT_BATCH) await flush();
+  }
+  takeLine(buffer);
+  await flush();
+
+  return { imported, skipped, firstError };
+}
+
+// Blank rating fields are null: the draw then follows the puzzle rating
+function readPuzzleFilter() {
+  return {
+    theme: puzzleThemeSelect.value,
+    minRating: clampInt(puzzleMinRatingInput.value, 0, 4000, null),
+    maxRating: clampInt(puzzleMaxRatingInput.value, 0, 4000, null)
+  };
+}
+
+// Rating ranges to try, nearest first: the range typed in, or widening
+// windows around the player's puzzle rating
+async function puzzleRatingRanges(filter) {
+  if (filter.minRating !== null || filter.maxRating !== null) {
+    return [[filter.minRating ?? 0, filter.maxRating ?? 4000]];
+  }
+  const { overall } = await loadPuzzleRating();
+  return [
+    ...PUZZLE_RATING_WINDOWS.map(w => [overall.rating - w, overall.rating + w]),
+    [0, 4000]
+  ];
+}
+
+// A random puzzle not yet seen this session, from the nearest range that
+// still has one. Next draws again with whatever filter is set then.
+async function drawPuzzle() {
+  const filter = readPuzzleFilter();
+  let ids = [];
+  let fresh = [];
+  try {
+    for (const [minRating, maxRating] of await puzzleRatingRanges(filter)) {
+      ids = await StudyDb.findPuzzleIds({ theme: filter.theme, minRating, maxRating });
+      fresh = ids.filter(id => !seenPuzzleIds.has(id));
+      if (fresh.length > 0) break;
+    }
+  } catch (error) {
+    updateStatus('Puzzle database unavailable: ' + error.message, 'error');
+    return;
+  }
+  if (ids.length === 0) {
+    updateStatus('No stored puzzles match this theme and rating range', 'error');
+    return;
+  }
+
+  if (fresh.length === 0) {
+    // Every match has been seen - go round again
+    ids.forEach(id => seenPuzzleIds.delete(id));
+    fresh = ids;
+  }
+  const id = fresh[Math.floor(Math.random() * fresh.length)];
+  seenPuzzleIds.add(id);
+
+  const record = await StudyDb.getPuzzle(id);
+  startPuzzle({ ...ChessPuzzles.toTrainerPuzzle(record), next: drawPuzzle });
+  updateStatus(`${fresh.length - 1} more unseen puzzle${fresh.length === 2 ? '' : 's'} in this range`, 'success');
+}
+
+async function clearPuzzleDb() {
+  if (!confirm('Delete all stored puzzles?')) return;
+  await StudyDb.clearPuzzles();
+  seenPuzzleIds.clear();
+  refreshPuzzleDb();
+  updateStatus('Puzzle database cleared', 'success');
+}
+
+// ============================================================================
+// PUZZLE RATING (Glicko-2, chrome.storage.local)
+// ============================================================================
+
+// Stored as
+//   puzzleRating: { overall: { rating, rd, vol }, attempts, solved,
+//                   themes: { [theme]: { rating, rd, vol, attempts, solved } },
+//                   history: [{ t, rating, rd, puzzleId, puzzleRating, score }] }
+// Every attempt is one rating period, against the puzzle's own rating. A
+// puzzle only counts as solved without a wrong move, hint or shown solution.
+
+const PUZZLE_RATING_HISTORY_MAX = 500;
+// Half-widths of the rating windows tried when drawing the next puzzle
+const PUZZLE_RATING_WINDOWS = [100, 200, 400, 800];
+// Above this deviation a rating is still provisional (shown with '?')
+const PROVISIONAL_RD = 110;
+
+function emptyPuzzleRating() {
+  return { overall: { ...Glicko2.DEFAULT_RATING }, attempts: 0, solved: 0, themes: {}, history: [] };
+}
+
+async function loadPuzzleRating() {
+  const { puzzleRating } = await chrome.storage.local.get('puzzleRating');
+  return puzzleRating || emptyPuzzleRating();
+}
+
+// The first decisive moment of a rated puzzle: 1 when solved clean, 0 at the
+// first wrong move, hint or shown solution. Later calls are ignored.
+async function scorePuzzle(p, score) {
+  if (!p.rated || p.score !== null) return;
+  p.score = score;
+
+  const stats = await loadPuzzleRating();
+  const result = [{ rating: p.rated.rating, rd: p.rated.rd, score }];
+  const before = stats.overall.rating;
+
+  stats.overall = Glicko2.rate(stats.overall, result);
+  stats.attempts++;
+  stats.solved += score;
+  for (const theme of p.rated.themes) {
+    const current = stats.themes[theme] || { ...Glicko2.DEFAULT_RATING, attempts: 0, solved: 0 };
+    stats.themes[theme] = {
+      ...Glicko2.rate(current, result),
+      attempts: current.attempts + 1,
+      solved: current.solved + score
+    };
+  }
+  stats.history.push({
+    t: Date.now(),
+    rating: Math.round(stats.overall.rating),
+    rd: Math.round(stats.overall.rd),
+    puzzleId: p.rated.id,
+    puzzleRating: p.rated.rating,
+    score
+  });
+  stats.history = stats.history.slice(-PUZZLE_RATING_HISTORY_MAX);
+  await chrome.storage.local.set({ puzzleRating: stats });
+
+  p.ratingAfter = Math.round(stats.overall.rating);
+  p.ratingChange = Math.round(stats.overall.rating - before);
+  if (puzzle === p) renderPuzzle();
+  refreshPuzzleDb();
+}
+
+function formatRating({ rating, rd }) {
+  return `${Math.round(rating)}${rd > PROVISIONAL_RD ? '?' : ''}`;
+}
+
+// Settings: current rating, history chart, themes weakest first
+async function renderPuzzleRatingStats() {
+  const stats = await loadPuzzleRating();
+  if (stats.attempts === 0) {
+    puzzleRatingSummary.textContent = 'No rated puzzles yet';
+    puzzleRatingChart.innerHTML = '';
+    puzzleThemeStats.innerHTML = '';
+    return;
+  }
+
+  const percent = Math.round(100 * stats.solved / stats.attempts);
+  puzzleRatingSummary.textContent =
+    `${formatRating(stats.overall)} ± ${Math.round(stats.overall.rd)} · ${stats.attempts} puzzles, ${percent}% solved`;
+  puzzleRatingChart.innerHTML = ratingChartSvg(stats.history);
+
+  const themes = Object.entries(stats.themes).sort((a, b) => a[1].rating - b[1].rating);
+  puzzleThemeStats.innerHTML = '<tr><th>Theme</th><th>Rating</th><th>Solved</th></tr>' +
+    themes.map(([theme, t]) => `<tr>
+      <td>${escapeHtml(theme)}</td>
+      <td>${formatRating(t)}</td>
+      <td>${t.solved}/${t.attempts}</td>
+    </tr>`).join('');
+}
+
+// Rating after each attempt as a line, in the chart's 300x100 viewBox
+function ratingChartSvg(history) {
+  if (history.length < 2) return '';
+  const ratings = history.map(h => h.rating);
+  const low = Math.min(...ratings) - 20;
+  const high = Math.max(...ratings) + 20;
+  const x = (i) => (i / (history.length - 1)) * 300;
+  const y = (r) => 100 - ((r - low) / (high - low)) * 100;
+  const points = ratings.map((r, i) => `${x(i).toFixed(1)},${y(r).toFixed(1)}`).join(' ');
+  return `<polyline points="${points}" fill="none" stroke="#3498db" stroke-width="1.5" vector-effect="non-scaling-stroke"/>
+    <text x="2" y="10" class="chart-label">${high - 20}</text>
+    <text x="2" y="97" class="chart-label">${low + 20}</text>`;
+}
+
+async function resetPuzzleRating() {
+  if (!confirm('Reset your puzzle rating and its history?')) return;
+  await chrome.storage.local.remove('puzzleRating');
+  await renderPuzzleRatingStats();
+  refreshPuzzleDb();
+}
+
+// ============================================================================
+// REVIEW CARDS (SM-2, IndexedDB)
+// ============================================================================
+
+// A card is an analysed position and the engine's best move, quizzed on the
+// puzzle board when due. Grades for Sm2.review:
+const CARD_GRADES = {
+  clean: 4,   // solved without a wrong move or hint
+  helped: 2,  // solved after a wrong move or hint - a lapse
+  gaveUp: 1   // Show solution
+};
+
+// One card or library entry per position: board, side to move, castling,
+// en passant
+function positionId(fen) {
+  return fen.split(' ').slice(0, 4).join(' ');
+}
+
+function formatDue(due) {
+  const days = Math.ceil((due - Date.now()) / Sm2.DAY_MS);
+  if (days <= 0) return 'now';
+  return days === 1 ? 'tomorrow' : `in ${days} days`;
+}
+
+async function refreshCards() {
+  try {
+    const [count, due, next] = await Promise.all([
+      StudyDb.countCards(),
+      StudyDb.findDueCards(),
+      StudyDb.nextDueCard()
+    ]);
+    let text = 'No cards saved';
+    if (count) {
+      text = `${count} card${count === 1 ? '' : 's'} · ${due.length} due now`;
+      if (!due.length && next) text += ` · next ${formatDue(next.due)}`;
+    }
+    cardCount.textContent = text;
+    cardReviewBtn.disabled = due.length === 0;
+  } catch (error) {
+    console.error('[Panel] Review cards unavailable:', error);
+    cardCount.textContent = 'Review cards unavailable';
+  }
+}
+
+// Save the analysed position on the board. Saving it again keeps the
+// schedule and takes the latest best move.
+async function saveCard() {
+  const best = activeBoard === 'tree' ? treeNode?.analysis?.moves?.[0] : null;
+  if (!best?.move) {
+    updateStatus('Analyse a position first - a card needs the engine\'s best move.', 'error');
+    return;
+  }
+
+  const fen = treeNode.fen;
+  const id = positionId(fen);
+  try {
+    const existing = await StudyDb.getCard(id);
+    await StudyDb.putCard({
+      ...(existing || Sm2.newSchedule()),
+      id,
+      fen,
+      move: best.move,
+      san: ChessRules.uciToSan(fen, best.move) || best.san,
+      created: existing?.created || Date.now()
+    });
+    updateStatus(existing ? 'Review card updated' : 'Saved as a review card', 'success');
+  } catch (error) {
+    updateStatus('Could not save the card: ' + error.message, 'error');
+    return;
+  }
+  refreshCards();
+}
+
+// The most overdue card on the puzzle board. Next moves on to another due
+// card, so skipping one doesn't bring it straight back.
+async function reviewDueCards() {
+  let due;
+  try {
+    due = await StudyDb.findDueCards();
+  } catch (error) {
+    updateStatus('Review cards unavailable: ' + error.message, 'error');
+    return;
+  }
+  if (due.length === 0) {
+    updateStatus('No cards due - all caught up', 'success');
+    refreshCards();
+    return;
+  }
+
+  const card = due.find(c => c.id !== puzzle?.card?.id) || due[0];
+  startPuzzle({
+    fen: card.fen,
+    solution: [card.move],
+    title: `Review card · saved ${new Date(card.created).toLocaleDateString()}`,
+    next: reviewDueCards,
+    card
+  });
+  updateStatus(`${due.length} card${due.length === 1 ? '' : 's'} due`, 'success');
+}
+
+// Schedule the card from how the attempt went; once per attempt
+async function gradeCard(p) {
+  if (!p.card || p.cardDue !== null) return;
+  const grade = p.gaveUp ? CARD_GRADES.gaveUp : (p.mistakes || p.hints) ? CARD_GRADES.helped : CARD_GRADES.clean;
+  const card = Sm2.review(p.card, grade);
+  p.cardDue = card.due;
+  try {
+    await StudyDb.putCard(card);
+  } catch (error) {
+    addError('Review', error.message);
+    return;
+  }
+  if (puzzle === p) renderPuzzle();
+  refreshCards();
+}
+
+async function deleteCurrentCard() {
+  const p = puzzle;
+  if (!p?.card || !confirm('Delete this review card?')) return;
+  try {
+    await StudyDb.deleteCard(p.card.id);
+  } catch (error) {
+    updateStatus('Could not delete the card: ' + error.message, 'error');
+    return;
+  }
+  await refreshCards();
+  if (puzzle === p) p.next();
+}
+
+// ============================================================================
+// OPENING REPERTOIRE (IndexedDB, SM-2 per position)
+// ============================================================================
+
+// A repertoire is one side's moves, stored position by position. Positions
+// are keyed by the first four fields of ChessFen.normalizeFEN (board, side
+// to move, castling, en passant), so every move order that reaches a
+// position shares its node. Positions where the repertoire side is to move
+// carry an SM-2 schedule. The drill plays the opponent's replies on the
+// puzzle board and grades each of those positions as it is answered.
+
+// Moves read from each PGN game; deeper moves are the middlegame
+const REPERTOIRE_MAX_PLIES = 40;
+// Longest line one drill plays
+const DRILL_MAX_PLIES = 40;
+const REPERTOIRE_COLORS = { w: 'White', b: 'Black' };
+
+function repertoireKey(fen) {
+  return ChessFen.normalizeFEN(fen).split(' ').slice(0, 4).join(' ');
+}
+
+// key -> node for one side
+async function loadRepertoire(color) {
+  const nodes = await StudyDb.listRepertoire(color);
+  return new Map(nodes.map(node => [node.key, node]));
+}
+
+async function refreshRepertoire() {
+  const color = repertoireColorSelect.value;
+  const label = REPERTOIRE_COLORS[color];
+  try {
+    const nodes = await StudyDb.listRepertoire(color);
+    const scheduled = nodes.filter(node => node.due !== undefined);
+    const due = scheduled.filter(node => node.due <= Date.now()).length;
+    let text = `No ${label} repertoire yet`;
+    if (nodes.length) {
+      text = `${label}: ${nodes.length} position${nodes.length === 1 ? '' : 's'} · ${due} due now`;
+      if (!due && scheduled.length) text += ` · next ${formatDue(Math.min(...scheduled.map(node => node.due)))}`;
+    }
+    repertoireCount.textContent = text;
+    repertoireDrillBtn.disabled = scheduled.length === 0;
+  } catch (error) {
+    console.error('[Panel] Repertoire unavailable:', error);
+    repertoireCount.textContent = 'Repertoire unavailable';
+  }
+}
+
+// Moves on the board as { fen, uci, san }: every loaded PGN game with its
+// variations, or the move tree line up to the current move
+function boardRepertoireMoves() {
+  const moves = [];
+  if (activeBoard === 'pgn' && pgnGames.length) {
+    const walk = (node) => {
+      if (node.ply >= REPERTOIRE_MAX_PLIES) return;
+      for (const child of node.children) {
+        moves.push({ fen: node.fen, uci: child.uci, san: child.san });
+        walk(child);
+      }
+    };
+    pgnGames.forEach(game => game.root && walk(game.root));
+  } else if (activeBoard === 'tree' && treeNode) {
+    for (let node = treeNode; node.parent; node = node.parent) {
+      moves.unshift({ fen: node.parent.fen, uci: node.uci, san: node.san });
+    }
+  }
+  return moves;
+}
+
+async function addToRepertoire() {
+  const color = repertoireColorSelect.value;
+  const label = REPERTOIRE_COLORS[color];
+  const moves = boardRepertoireMoves();
+  if (moves.length === 0) {
+    updateStatus('Open a PGN, or play some moves in the move tree, to add them to the repertoire.', 'error');
+    return;
+  }
+
+  try {
+    const nodes = await loadRepertoire(color);
+    const changed = new Map();
+    const now = Date.now();
+    for (const move of moves) {
+      const fen = ChessFen.normalizeFEN(move.fen);
+      const key = repertoireKey(fen);
+      let node = nodes.get(key);
+      if (!node) {
+        node = {
+          ...(fen.split(' ')[1] === color ? Sm2.newSchedule(now) : {}),
+          id: `${color} ${key}`,
+          color,
+          key,
+          fen,
+          moves: [],
+          added: now
+        };
+        nodes.set(key, node);
+      }
+      if (node.moves.some(m => m.uci === move.uci)) continue;
+      node.moves.push({ uci: move.uci, san: move.san || ChessRules.uciToSan(fen, move.uci) });
+      changed.set(key, node);
+    }
+    await StudyDb.putRepertoireNodes([...changed.values()]);
+    const added = [...changed.values()].length;
+    updateStatus(added
+      ? `${label} repertoire: ${added} position${added === 1 ? '' : 's'} added or extended`
+      : `Those moves are already in the ${label} repertoire`, 'success');
+  } catch (error) {
+    updateStatus('Could not update the repertoire: ' + error.message, 'error');
+    return;
+  }
+  refreshRepertoire();
+}
+
+async function clearRepertoire() {
+  const color = repertoireColorSelect.value;
+  if (!confirm(`Delete the whole ${REPERTOIRE_COLORS[color]} repertoire and its review schedule?`)) return;
+  try {
+    await StudyDb.clearRepertoire(color);
+  } catch (error) {
+    updateStatus('Could not clear the repertoire: ' + error.message, 'error');
+    return;
+  }
+  refreshRepertoire();
+}
+
+// key -> the earliest due time of the positions reachable from there
+function repertoireDue(nodes) {
+  const memo = new Map();
+  const visit = (key) => {
+    if (memo.has(key)) return memo.get(key);
+    memo.set(key, Infinity);  // a repetition leads back here
+    const node = nodes.get(key);
+    let due = node?.due ?? Infinity;
+    for (const move of node?.moves || []) {
+      const fen = ChessRules.applyUci(node.fen, move.uci);
+      if (fen) due = Math.min(due, visit(repertoireKey(fen)));
+    }
+    memo.set(key, due);
+    return due;
+  };
+  return visit;
+}
+
+// From `fen`, the repertoire line towards the most overdue position; ties
+// are broken at random, so the drill sees every branch in time
+function drillLine(nodes, fen) {
+  const dueOf = repertoireDue(nodes);
+  const line = [];
+  const seen = new Set();
+  let current = fen;
+  while (line.length < DRILL_MAX_PLIES) {
+    const key = repertoireKey(current);
+    const node = nodes.get(key);
+    if (!node || seen.has(key)) break;
+    seen.add(key);
+
+    const options = node.moves
+      .map(move => ({ uci: move.uci, fen: ChessRules.applyUci(current, move.uci) }))
+      .filter(option => option.fen)
+      .map(option => ({ ...option, due: dueOf(repertoireKey(option.fen)) }));
+    if (options.length === 0) break;
+    const earliest = Math.min(...options.map(option => option.due));
+    const picks = options.filter(option => option.due === earliest);
+    const pick = picks[Math.floor(Math.random() * picks.length)];
+    line.push(pick.uci);
+    current = pick.fen;
+  }
+  return line;
+}
+
+// Where a drill starts: the start position if the repertoire has it, else
+// the position no repertoire move leads to with the earliest due time
+function drillStart(nodes) {
+  const reached = new Set();
+  for (const node of nodes.values()) {
+    for (const move of node.moves) {
+      const fen = ChessRules.applyUci(node.fen, move.uci);
+      if (fen) reached.add(repertoireKey(fen));
+    }
+  }
+  const roots = [...nodes.values()].filter(node => !reached.has(node.key));
+  const candidates = roots.length ? roots : [...nodes.values()];
+  const start = candidates.find(node => node.key === repertoireKey(ChessPgn.START_FEN));
+  if (start) return start;
+  const dueOf = repertoireDue(nodes);
+  return candidates.reduce((best, node) => (!best || dueOf(node.key) < dueOf(best.key) ? node : best), null);
+}
+
+// One line of the repertoire on the puzzle board. Next drills another.
+async function drillRepertoire() {
+  const color = repertoireColorSelect.value;
+  const label = REPERTOIRE_COLORS[color];
+  let nodes;
+  try {
+    nodes = await loadRepertoire(color);
+  } catch (error) {
+    updateStatus('Repertoire unavailable: ' + error.message, 'error');
+    return;
+  }
+  const start = drillStart(nodes);
+  if (!start) {
+    updateStatus(`Add some moves to the ${label} repertoire first`, 'error');
+    return;
+  }
+
+  let fen = start.fen;
+  let line = drillLine(nodes, fen);
+  let lastMove = null;
+  // The opponent moves first: that move sets the drill up
+  if (fen.split(' ')[1] !== color && line.length) {
+    const setup = line.shift();
+    fen = ChessRules.applyUci(fen, setup);
+    lastMove = { from: setup.slice(0, 2), to: setup.slice(2, 4) };
+  }
+  // End on one of the solver's moves
+  if (line.length % 2 === 0) line = line.slice(0, -1);
+  if (line.length === 0) {
+    updateStatus(`The ${label} repertoire has no ${label} moves to drill`, 'error');
+    return;
+  }
+
+  startPuzzle({
+    fen,
+    solution: line,
+    lastMove,
+    title: `${label} repertoire drill`,
+    next: drillRepertoire,
+    drill: { color, nodes, missed: new Set() }
+  });
+}
+
+// The solver played another repertoire move: that move and the line after
+// it, or null when it isn't in the repertoire
+function drillAlternative(p, uci) {
+  const node = p.drill.nodes.get(repertoireKey(p.fen));
+  if (!node?.moves.some(move => move.uci === uci)) return null;
+  const rest = drillLine(p.drill.nodes, ChessRules.applyUci(p.fen, uci));
+  return [uci, ...rest.slice(0, rest.length - (rest.length % 2))];
+}
+
+// A wrong move or a hint: the position on the board counts as missed
+function missDrillNode(p) {
+  if (p.drill) p.drill.missed.add(repertoireKey(p.fen));
+}
+
+// Schedule the position just answered. A miss or a shown solution is a
+// lapse; a clean answer only counts when the position was due.
+function gradeDrillNode(p, gaveUp = false) {
+  if (!p.drill) return;
+  const key = repertoireKey(p.fen);
+  const node = p.drill.nodes.get(key);
+  if (node?.due === undefined) return;
+  const missed = p.drill.missed.has(key);
+  if (!missed && !gaveUp && node.due > Date.now()) return;
+
+  const grade = gaveUp ? CARD_GRADES.gaveUp : missed ? CARD_GRADES.helped : CARD_GRADES.clean;
+  const reviewed = Sm2.review(node, grade);
+  p.drill.nodes.set(key, reviewed);
+  StudyDb.putRepertoireNodes([reviewed])
+    .then(refreshRepertoire)
+    .catch(error => addError('Repertoire', error.message));
+}
+
+// ============================================================================
+// REPERTOIRE DEVIATION REPORT
+// ============================================================================
+
+// For each loaded game that has finished: the first move the repertoire
+// doesn't have, who played it, and the engine's evaluation just after it.
+// The user's colour comes from the name in the White/Black tags, or from
+// the repertoire picker when no name is given. Rows sort by any column and
+// export as CSV or Markdown.
+
+// One search per game, so a little shallower than the analysis default
+const REPORT_DEPTH = 16;
+const FINISHED_RESULTS = ['1-0', '0-1', '1/2-1/2'];
+const DEVIATION_LABELS = {
+  you: 'You',
+  opponent: 'Opponent',
+  end: 'End of repertoire',
+  none: 'Stayed in repertoire'
+};
+// [key, header] in table order
+const REPORT_COLUMNS = [
+  ['game', 'Game'],
+  ['color', 'You'],
+  ['move', 'Move'],
+  ['by', 'Left by'],
+  ['expected', 'Repertoire'],
+  ['evaluation', 'Eval']
+];
+
+let deviationReport = null;  // { rows, skipped, sort: { key, dir } }
+
+async function saveRepertoirePlayer() {
+  try {
+    await chrome.storage.sync.set({ repertoirePlayer: repertoirePlayerInput.value.trim() });
+  } catch (error) {
+    console.warn('[Panel] Failed to save the repertoire player:', error);
+  }
+}
+
+// 'w', 'b', or null when the named player isn't in the game
+function reportColor(game, player) {
+  if (!player) return repertoireColorSelect.value;
+  const name = player.toLowerCase();
+  if ((game.headers.White || '').trim().toLowerCase() === name) return 'w';
+  if ((game.headers.Black || '').trim().toLowerCase() === name) return 'b';
+  return null;
+}
+
+// The game's first move outside the repertoire:
+//   { by: 'you' | 'opponent' | 'end' | 'none', node, expected }
+// `node` is that move; 'end' means the repertoire has nothing for the
+// position, 'none' that the game finished inside it.
+function findDeviation(game, nodes, color) {
+  let node = game.root;
+  while (node.children.length) {
+    const move = node.children[0];
+    const entry = nodes.get(repertoireKey(node.fen));
+    if (!entry) return { by: 'end', node: move, expected: [] };
+    if (!entry.moves.some(m => m.uci === move.uci)) {
+      const mover = node.fen.split(' ')[1];
+      return { by: mover === color ? 'you' : 'opponent', node: move, expected: entry.moves.map(m => m.san) };
+    }
+    node = move;
+  }
+  return { by: 'none', node, expected: [] };
+}
+
+// Evaluation as pawns for sorting, mates beyond any score; null sorts last
+function evaluationScore(evaluation) {
+  if (evaluation === undefined || evaluation === null) return null;
+  if (typeof evaluation === 'string' && evaluation.startsWith('M')) {
+    const mateIn = parseInt(evaluation.slice(1), 10) || 0;
+    return Math.sign(mateIn) * (1000 - Math.abs(mateIn));
+  }
+  const score = parseFloat(evaluation);
+  return isNaN(score) ? null : score;
+}
+
+async function runDeviationReport() {
+  const player = repertoirePlayerInput.value.trim();
+  if (!pgnGames.length) {
+    updateStatus('Open a PGN of your finished games first.', 'error');
+    return;
+  }
+
+  let repertoires;
+  try {
+    repertoires = { w: await loadRepertoire('w'), b: await loadRepertoire('b') };
+  } catch (error) {
+    updateStatus('Repertoire unavailable: ' + error.message, 'error');
+    return;
+  }
+
+  const rows = [];
+  const skipped = { unfinished: 0, notYours: 0, noRepertoire: 0 };
+  pgnGames.forEach((game, gameIndex) => {
+    if (!game.root || !FINISHED_RESULTS.includes(game.result)) {
+      skipped.unfinished++;
+      return;
+    }
+    const color = reportColor(game, player);
+    if (!color) {
+      skipped.notYours++;
+      return;
+    }
+    if (repertoires[color].size === 0) {
+      skipped.noRepertoire++;
+      return;
+    }
+    const deviation = findDeviation(game, repertoires[color], color);
+    const moved = deviation.by !== 'none';
+    rows.push({
+      game,
+      gameIndex,
+      title: `${game.headers.White || '?'} – ${game.headers.Black || '?'}`,
+      date: game.headers.Date || '',
+      result: game.result,
+      color,
+      ...deviation,
+      ply: moved ? deviation.node.ply : Infinity,
+      move: moved ? `${ChessPgn.moveNumberLabel(deviation.node)} ${deviation.node.san}` : '',
+      evaluation: null,
+      evalError: null
+    });
+  });
+
+  if (rows.length === 0) {
+    const reason = player
+      ? `No finished game with ${player} and a matching repertoire`
+      : 'No finished game to check against this repertoire';
+    updateStatus(reason, 'error');
+    return;
+  }
+
+  deviationReport = { rows, skipped, sort: { key: 'game', dir: 1 } };
+  renderDeviationReport();
+
+  // Evaluations one at a time - the engine runs one search at once
+  repertoireReportBtn.disabled = true;
+  try {
+    const pending = rows.filter(row => row.by !== 'none');
+    for (const [index, row] of pending.entries()) {
+      updateStatus(`Evaluating deviations... ${index + 1}/${pending.length}`, 'loading');
+      const response = await chrome.runtime.sendMessage({
+        type: 'ANALYZE_FEN',
+        fen: row.node.fen,
+        pgn: ChessPgn.writePgn(row.game),
+        depth: REPORT_DEPTH
+      });
+      if (response?.cancelled) {
+        updateStatus('Deviation report: evaluation stopped by another analysis', 'error');
+        return;
+      }
+      if (response?.error || !response?.moves?.length) {
+        row.evalError = response?.error || 'No engine result';
+      } else {
+        row.evaluation = response.moves[0].evaluation;
+      }
+      if (deviationReport?.rows === rows) renderDeviationReport();
+    }
+    updateStatus(`Deviation report: ${rows.length} game${rows.length === 1 ? '' : 's'}`, 'success');
+  } catch (error) {
+    addError('Deviation report', error.message);
+    updateStatus('Deviation report: ' + error.message, 'error');
+  } finally {
+    repertoireReportBtn.disabled = false;
+  }
+}
+
+// A row's value for one column, for sorting and export
+function deviationValue(row, key) {
+  switch (key) {
+    case 'game': return row.gameIndex;
+    case 'color': return REPERTOIRE_COLORS[row.color];
+    case 'move': return row.ply;
+    case 'by': return DEVIATION_LABELS[row.by];
+    case 'expected': return row.expected.join(', ');
+    case 'evaluation': return evaluationScore(row.evaluation);
+    default: return '';
+  }
+}
+
+function sortedDeviationRows() {
+  const { rows, sort } = deviationReport;
+  return [...rows].sort((a, b) => {
+    const va = deviationValue(a, sort.key);
+    const vb = deviationValue(b, sort.key);
+    if (va === vb) return a.gameIndex - b.gameIndex;
+    // Missing evaluations stay at the bottom either way
+    if (va === null) return 1;
+    if (vb === null) return -1;
+    return (va < vb ? -1 : 1) * sort.dir;
+  });
+}
+
+function renderDeviationReport() {
+  const { rows, skipped, sort } = deviationReport;
+  const counts = Object.keys(DEVIATION_LABELS)
+    .map(by => [by, rows.filter(row => row.by === by).length])
+    .filter(([, n]) => n > 0)
+    .map(([by, n]) => `${DEVIATION_LABELS[by].toLowerCase()} ${n}`);
+  const skippedText = [
+    skipped.unfinished && `${skipped.unfinished} unfinished`,
+    skipped.notYours && `${skipped.notYours} not played by ${repertoirePlayerInput.value.trim()}`,
+    skipped.noRepertoire && `${skipped.noRepertoire} without a repertoire for that colour`
+  ].filter(Boolean);
+  repertoireReportSummary.textContent = `${rows.length} game${rows.length === 1 ? '' : 's'} · ${counts.join(', ')}` +
+    (skippedText.length ? ` · skipped ${skippedText.join(', ')}` : '');
+
+  const header = REPORT_COLUMNS.map(([key, label]) => {
+    const arrow = sort.key === key ? (sort.dir > 0 ? ' \u25b2' : ' \u25bc') : '';
+    const title = key === 'evaluation' ? ' title="White\'s point of view, after the move"' : '';
+    return `<th data-sort="${key}"${title}>${label}${arrow}</th>`;
+  }).join('');
+  const body = sortedDeviationRows().map(row => {
+    const evaluation = row.evalError
+      ? `<span title="${escapeHtml(row.evalError)}">?</span>`
+      : row.by === 'none' ? '' : (formatEvaluation(row.evaluation) || '…');
+    return `<tr class="deviation-row deviation-${row.by}" data-index="${row.gameIndex}" title="Open the game at this move">
+      <td>${escapeHtml(row.title)}<div class="deviation-date">${escapeHtml([row.date, row.result].filter(Boolean).join(' · '))}</div></td>
+      <td>${REPERTOIRE_COLORS[row.color]}</td>
+      <td>${escapeHtml(row.move)}</td>
+      <td>${DEVIATION_LABELS[row.by]}</td>
+      <td>${escapeHtml(row.expected.join(', '))}</td>
+      <td>${evaluation}</td>
+    </tr>`;
+  }).join('');
+  repertoireReportTable.innerHTML = `<tr>${header}</tr>${body}`;
+  repertoireReport.style.display = 'block';
+}
+
+// A header sorts by its column (again to reverse); a row opens the game at
+// the deviation
+function handleDeviationReportClick(e) {
+  if (!deviationReport) return;
+  const th = e.target.closest('th[data-sort]');
+  if (th) {
+    const { sort } = deviationReport;
+    deviationReport.sort = { key: th.dataset.sort, dir: sort.key === th.dataset.sort ? -sort.dir : 1 };
+    renderDeviationReport();
+    return;
+  }
+  const tr = e.target.closest('tr.deviation-row');
+  if (!tr) return;
+  const row = deviationReport.rows.find(r => r.gameIndex === Number(tr.dataset.index));
+  if (!row || pgnGames[row.gameIndex] !== row.game) {
+    updateStatus('That game is no longer loaded', 'error');
+    return;
+  }
+  openPgnGame(row.gameIndex);
+  showPgnNode(row.node);
+}
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportDeviationReport(format) {
+  if (!deviationReport) return;
+  const rows = sortedDeviationRows().map(row => ({
+    game: row.title,
+    date: row.date,
+    result: row.result,
+    color: REPERTOIRE_COLORS[row.color],
+    move: row.move,
+    by: DEVIATION_LABELS[row.by],
+    expected: row.expected.join(', '),
+    evaluation: formatEvaluation(row.evaluation),
+    fen: row.by === 'none' ? '' : row.node.fen
+  }));
+  const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+
+  if (format === 'csv') {
+    const header = 'Game,Date,Result,You,Move,Left by,Repertoire,Eval,FEN';
+    const lines = rows.map(row => Object.values(row).map(csvField).join(','));
+    downloadTextFile([header, ...lines].join('\n') + '\n', `chess-study-deviations-${stamp}.csv`, 'text/csv');
+  } else {
+    const cell = (value) => String(value).replace(/\|/g, '\\|');
+    const lines = [
+      '# Repertoire deviations',
+      '',
+      `${repertoireReportSummary.textContent}. Evaluations are from White's point of view, after the move.`,
+      '',
+      '| Game | Date | Result | You | Move | Left by | Repertoire | Eval |',
+      '|------|------|--------|-----|------|---------|------------|------|',
+      ...rows.map(row => `| ${[row.game, row.date, row.result, row.color, row.move, row.by, row.expected, row.evaluation].map(cell).join(' | ')} |`)
+    ];
+    downloadTextFile(lines.join('\n') + '\n', `chess-study-deviations-${stamp}.md`, 'text/markdown');
+  }
+  updateStatus('Deviation report downloaded', 'success');
+}
+
+// ============================================================================
+// POSITION LIBRARY (IndexedDB)
+// ============================================================================
+
+// Every fresh analysis is kept in the StudyDb 'positions' store, one entry
+// per position; analysing it again refreshes the lines and keeps the tags
+// and notes. The list is filtered in memory.
+
+// Entries drawn at once; the search narrows the rest down
+const LIBRARY_LIST_MAX = 50;
+
+let libraryEntries = [];  // every entry, most recently analysed first
+const libraryTagFilter = new Set();
+let librarySelectedId = null;
+
+async function addToLibrary(data) {
+  const fen = data.fenNormalized || (data.fen ? `${data.fen} ${data.turn || 'w'} - - 0 1` : null);
+  if (!fen || !data.moves?.length) return;
+
+  const id = positionId(fen);
+  try {
+    const existing = await StudyDb.getPosition(id);
+    const opening = await classifyOpening([...analysisHistory, fen]);
+    await StudyDb.putPosition({
+      id,
+      fen,
+      source: data.source || 'vision',
+      engine: data.engine || null,
+      lines: data.moves,
+      material: ChessFen.materialSignature(fen),
+      opening: opening || existing?.opening || null,
+      analysedAt: Date.now(),
+      created: existing?.created || Date.now(),
+      tags: existing?.tags || [],
+      notes: existing?.notes || ''
+    });
+  } catch (error) {
+    console.error('[Panel] Could not add the position to the library:', error);
+    return;
+  }
+  refreshLibrary();
+}
+
+async function refreshLibrary() {
+  try {
+    const [entries, tags] = await Promise.all([StudyDb.listPositions(), StudyDb.listPositionTags()]);
+    libraryEntries = entries;
+    [...libraryTagFilter].forEach(tag => {
+      if (!tags.includes(tag)) libraryTagFilter.delete(tag);
+    });
+    libraryTagsBar.innerHTML = tags.map(tag =>
+      `<button class="library-tag${libraryTagFilter.has(tag) ? ' active' : ''}" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</button>`
+    ).join('');
+  } catch (error) {
+    console.error('[Panel] Position library unavailable:', error);
+    libraryCount.textContent = 'Position library unavailable';
+    return;
+  }
+  renderLibrary();
+}
+
+// Entries with every active tag that match the search: a material signature
+// ("R+P vs R", either colour) or text in the notes, tags, opening, FEN or
+// source
+function filterLibrary() {
+  const query = librarySearchInput.value.trim();
+  const material = ChessFen.parseMaterialQuery(query);
+  const text = query.toLowerCase();
+
+  return libraryEntries.filter(entry => {
+    if (![...libraryTagFilter].every(tag => entry.tags.includes(tag))) return false;
+    if (!query) return true;
+    if (material) return ChessFen.matchesMaterial(entry.material, material);
+    const opening = ChessEco.formatOpening(entry.opening);
+    return [entry.notes, opening, entry.fen, entry.source, ...entry.tags].some(field => field?.toLowerCase().includes(text));
+  });
+}
+
+function renderLibrary() {
+  const matches = filterLibrary();
+  const total = libraryEntries.length;
+  libraryCount.textContent = total
+    ? `${total} position${total === 1 ? '' : 's'}${matches.length === total ? '' : ` · ${matches.length} shown`}`
+    : 'No positions yet - every analysis is saved here';
+
+  libraryList.innerHTML = matches.slice(0, LIBRARY_LIST_MAX).map(entry => {
+    const best = entry.lines[0];
+    const evaluation = formatEvaluation(best?.evaluation);
+    return `<div class="library-entry${entry.id === librarySelectedId ? ' selected' : ''}" data-id="${escapeHtml(entry.id)}">
+      <div class="library-thumb"></div>
+      <div class="library-info">
+        <div class="library-material">${escapeHtml(entry.material)}</div>
+        ${entry.opening ? `<div>${escapeHtml(ChessEco.formatOpening(entry.opening))}</div>` : ''}
+        <div>${escapeHtml(best ? getMoveSan(best) : '-')}${evaluation ? ` (${evaluation})` : ''} · ${escapeHtml(entry.source)}</div>
+        <div>${new Date(entry.analysedAt).toLocaleString()}</div>
+        ${entry.tags.length ? `<div>${entry.tags.map(tag => '#' + escapeHtml(tag)).join(' ')}</div>` : ''}
+        ${entry.notes ? `<div class="library-notes">${escapeHtml(entry.notes)}</div>` : ''}
+      </div>
+    </div>`;
+  }).join('') + (matches.length > LIBRARY_LIST_MAX
+    ? `<div class="placeholder">${matches.length - LIBRARY_LIST_MAX} more - narrow the search</div>`
+    : '');
+
+  // Thumbnails: the position with its best move
+  libraryList.querySelectorAll('.library-entry').forEach(row => {
+    const entry = libraryEntries.find(e => e.id === row.dataset.id);
+    renderMiniBoard(row.querySelector('.library-thumb'), entry.fen, entry.lines[0] || {});
+  });
+}
+
+function toggleLibraryTag(e) {
+  const tag = e.target.closest('.library-tag')?.dataset.tag;
+  if (!tag) return;
+  if (libraryTagFilter.has(tag)) {
+    libraryTagFilter.delete(tag);
+  } else {
+    libraryTagFilter.add(tag);
+  }
+  e.target.classList.toggle('active', libraryTagFilter.has(tag));
+  renderLibrary();
+}
+
+// Open an entry: its stored analysis on the board, tags and notes below
+function handleLibraryClick(e) {
+  const row = e.target.closest('.library-entry');
+  const entry = row && libraryEntries.find(item => item.id === row.dataset.id);
+  if (!entry) return;
+
+  librarySelectedId = entry.id;
+  libraryTagsInput.value = entry.tags.join(', ');
+  libraryNotesInput.value = entry.notes;
+  libraryEditor.style.display = 'block';
+  renderLibrary();
+
+  const [boardPart, turn] = entry.fen.split(' ');
+  const data = { fen: boardPart, turn, fenNormalized: entry.fen, moves: entry.lines, source: entry.source, engine: entry.engine };
+  cancelAnalysis();
+  analysisSourcePgn = null;
+  analysisHistory = [];
+  popoverPosition.style.display = 'block';
+  movesSection.style.display = 'block';
+  boardSection.style.display = 'block';
+  showAnalysis(data);
+  startMoveTree(data);
+  treeRoot.opening = entry.opening;
+  showOpening(treeNodeFens(treeRoot));
+  updateStatus(`Library position from ${new Date(entry.analysedAt).toLocaleString()}`, 'success');
+}
+
+async function saveLibraryEntry() {
+  const entry = libraryEntries.find(item => item.id === librarySelectedId);
+  if (!entry) return;
+  const tags = [...new Set(libraryTagsInput.value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  try {
+    await StudyDb.putPosition({ ...entry, tags, notes: libraryNotesInput.value.trim() });
+  } catch (error) {
+    updateStatus('Could not save the entry: ' + error.message, 'error');
+    return;
+  }
+  updateStatus('Library entry saved', 'success');
+  refreshLibrary();
+}
+
+async function deleteLibraryEntry() {
+  if (!librarySelectedId || !confirm('Delete this position from the library?')) return;
+  try {
+    await StudyDb.deletePosition(librarySelectedId);
+  } catch (error) {
+    updateStatus('Could not delete the entry: ' + error.message, 'error');
+    return;
+  }
+  librarySelectedId = null;
+  libraryEditor.style.display = 'none';
+  refreshLibrary();
+}
+
+// ============================================================================
+// OPENING NAMES (ECO)
+// ============================================================================
+
+// The bundled table, parsed on first use
+let ecoTablePromise = null;
+let openingSeq = 0;
+
+function loadEcoTable() {
+  if (!ecoTablePromise) {
+    ecoTablePromise = fetch(chrome.runtime.getURL('src/data/eco.tsv'))
+      .then(response => response.text())
+      .then(ChessEco.parseTable)
+      .catch((error) => {
+        ecoTablePromise = null;
+        throw error;
+      });
+  }
+  return ecoTablePromise;
+}
+
+// { eco, name } of the deepest named position in `fens`, or null
+async function classifyOpening(fens) {
+  try {
+    return ChessEco.classify(await loadEcoTable(), fens);
+  } catch (error) {
+    console.error('[Panel] ECO table unavailable:', error);
+    return null;
+  }
+}
+
+// FENs from the game's start to `node`
+function nodePathFens(node) {
+  const fens = [];
+  for (let n = node; n; n = n.parent) fens.unshift(n.fen);
+  return fens;
+}
+
+// A move tree position, with the moves that led to the tree's root
+function treeNodeFens(node) {
+  return [...(treeRoot?.history || []), ...nodePathFens(node)];
+}
+
+// Opening name under the FEN in the status popover
+async function showOpening(fens) {
+  const seq = ++openingSeq;
+  const opening = (await classifyOpening(fens)) || (activeBoard === 'tree' ? treeRoot?.opening : null);
+  if (seq !== openingSeq) return;
+  openingDisplay.textContent = ChessEco.formatOpening(opening);
+  openingDisplay.style.display = opening ? 'block' : 'none';
+}
+
+// ============================================================================
+// OPENING BOOKS (Polyglot)
+// ============================================================================
+
+// Books live in the StudyDb 'books' store as Blobs; ChessPolyglot reads
+// only the entries it needs, so a book is never loaded whole.
+
+let openingBooks = [];  // { name, size, added, data }, by name
+let bookLookupSeq = 0;
+let bookMovesFen = null;
+
+async function loadBooks() {
+  try {
+    openingBooks = await StudyDb.listBooks();
+  } catch (error) {
+    console.error('[Panel] Opening books unavailable:', error);
+    openingBooks = [];
+  }
+  renderBookList();
+  showBookMoves(bookMovesFen);
+}
+
+function renderBookList() {
+  bookList.innerHTML = openingBooks.length
+    ? openingBooks.map(book => `<div class="book-list-row">
+        <span title="${escapeHtml(book.name)}">${escapeHtml(book.name)} · ${(book.size / 16).toLocaleString()} entries</span>
+        <button class="check-btn" data-book="${escapeHtml(book.name)}">Remove</button>
+      </div>`).join('')
+    : 'No books loaded';
+}
+
+async function handleBookFiles() {
+  const files = [...(bookFileInput.files || [])];
+  bookFileInput.value = '';
+  for (const file of files) {
+    const check = await ChessPolyglot.checkBook(file);
+    if (check.error) {
+      updateStatus(`${file.name}: ${check.error}`, 'error');
+      continue;
+    }
+    try {
+      await StudyDb.putBook({ name: file.name, size: file.size, added: Date.now(), data: file });
+      updateStatus(`Added ${file.name} (${check.entries.toLocaleString()} entries)`, 'success');
+    } catch (error) {
+      updateStatus(`Could not store ${file.name}: ${error.message}`, 'error');
+    }
+  }
+  loadBooks();
+}
+
+async function removeBook(e) {
+  const name = e.target.closest('[data-book]')?.dataset.book;
+  if (!name || !confirm(`Remove the opening book ${name}?`)) return;
+  try {
+    await StudyDb.deleteBook(name);
+  } catch (error) {
+    updateStatus('Could not remove the book: ' + error.message, 'error');
+    return;
+  }
+  loadBooks();
+}
+
+// Book moves for the shown position, every book in turn. Each weight is
+// also shown as a share of its own book's moves here.
+async function showBookMoves(fen) {
+  const seq = ++bookLookupSeq;
+  bookMovesFen = fen;
+  if (!fen || openingBooks.length === 0) {
+    bookMoves.style.display = 'none';
+    return;
+  }
+
+  const moves = [];
+  for (const book of openingBooks) {
+    try {
+      const entries = await ChessPolyglot.lookup(book.data, fen);
+      const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+      entries.forEach(entry => moves.push({
+        ...entry,
+        share: total ? Math.round(100 * entry.weight / total) : 0,
+        book: book.name
+      }));
+    } catch (error) {
+      console.error(`[Panel] Could not read ${book.name}:`, error);
+    }
+  }
+  if (seq !== bookLookupSeq) return;
+
+  // The engine's move, when the analysis shown is for this position
+  const engineMove = currentAnalysis?.fenNormalized === fen ? currentMoves?.[0]?.move : null;
+  let status = moves.length ? `In book · ${moves.length} move${moves.length === 1 ? '' : 's'}` : 'Out of book';
+  if (engineMove && moves.length) {
+    const inBook = moves.some(move => move.uci === engineMove);
+    status += ` · the engine move is ${inBook ? '' : 'not '}a book move`;
+  }
+
+  const rows = moves.map(move => `<div class="candidate-row book-row${move.uci === engineMove ? ' engine-match' : ''}" data-uci="${move.uci}">
+      <span class="candidate-move">${escapeHtml(ChessRules.uciToSan(fen, move.uci) || move.uci)}</span>
+      <span class="candidate-eval">${move.share}%</span>
+      <span class="book-learn">weight ${move.weight} · learn ${move.learn}</span>
+      ${openingBooks.length > 1 ? `<span class="book-name">${escapeHtml(move.book)}</span>` : ''}
+    </div>`).join('');
+  bookMoves.innerHTML = `<div class="engine-lines-title">Opening book</div>
+    <div class="book-status">${status}</div>
+    <div class="candidate-list">${rows}</div>`;
+  bookMoves.style.display = 'block';
+}
+
+// A book move goes into the move tree like a move played on the board
+function playBookMove(e) {
+  const uci = e.target.closest('.book-row')?.dataset.uci;
+  if (!uci || activeBoard !== 'tree' || treeNode?.fen !== bookMovesFen) return;
+  playTreeMove(uci);
+}
+
+// ============================================================================
+// ENDGAME TABLEBASE (Lichess)
+// ============================================================================
+
+// Positions with 7 pieces or fewer go to the Lichess tablebase through the
+// service worker, unless Settings turns it off.
+let useLichessTablebase = true;
+
+// The result for the analysis on show, once it has arrived
+let tablebaseResult = null;
+let tablebaseSeq = 0;
+
+// Returns a ChessTablebase result, { error }, or null when the position is
+// not a tablebase position or the lookup is turned off.
+async function probeTablebase(fen) {
+  if (!ChessTablebase.canProbe(fen) || !useLichessTablebase) return null;
+
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'GET_TABLEBASE', fen, pgn: analysisSourcePgn });
+    return result || { error: 'No response' };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Probe the analysed position; when the answer arrives for the position
+// still on show, the moves section is drawn again from it - with the engine
+// moves, or from the tablebase alone when the engine found none
+async function showTablebase(fen) {
+  const seq = ++tablebaseSeq;
+  tablebaseResult = null;
+  if (!fen) return;
+
+  const result = await probeTablebase(fen);
+  if (seq !== tablebaseSeq || !result) return;
+  if (result.error) {
+    console.warn('[Panel] Tablebase unavailable:', result.error);
+    return;
+  }
+  tablebaseResult = result;
+  if (currentAnalysis?.fenNormalized === fen) {
+    displayMoves(currentAnalysis.moves, fen);
+  } else if (movesList.querySelector('.placeholder')?.dataset.tablebaseFen === fen) {
+    displayMoves([], fen);
+  }
+}
+
+// A tablebase move in the shape displayMoves expects from the engine
+function tablebaseMove(move) {
+  return { move: move.uci, san: move.san, from: move.uci.slice(0, 2), to: move.uci.slice(2, 4) };
+}
+
+function tablebaseOutcomeClass(category) {
+  if (category.includes('win')) return 'tablebase-win';
+  if (category.includes('loss')) return 'tablebase-loss';
+  return 'tablebase-draw';
+}
+
+// Outcome of the position and every move, in place of the engine ranking
+function renderTablebase(tablebase, fen) {
+  let summary = ChessTablebase.formatOutcome(tablebase);
+  if (tablebase.checkmate) summary = 'Checkmate';
+  else if (tablebase.stalemate) summary = 'Stalemate';
+  else if (tablebase.dtm) summary += ` · DTM ${Math.abs(tablebase.dtm)}`;
+
+  const rows = tablebase.moves.map(m => {
+    const mPiece = getPieceAtSquare(fen, m.uci.slice(0, 2));
+    return `<div class="candidate-row">
+      <span class="candidate-move"><span class="chip-piece">${mPiece ? PIECE_ICONS[mPiece] : ''}</span>${escapeHtml(m.san)}</span>
+      <span class="candidate-eval tablebase-chip ${tablebaseOutcomeClass(m.category)}">${escapeHtml(ChessTablebase.formatOutcome(m))}</span>
+      ${m.optimal ? '<span class="quality-label quality-best">Optimal</span>' : ''}
+    </div>`;
+  }).join('');
+
+  return `<div class="engine-lines">
+    <div class="engine-lines-title">Tablebase \u00b7 Lichess</div>
+    <div class="tablebase-summary ${tablebaseOutcomeClass(tablebase.category)}">${escapeHtml(summary)}</div>
+    <div class="candidate-list">${rows}</div>
+  </div>`;
+}
+
+// ============================================================================
+// OPENING EXPLORER (Lichess masters / lichess games)
+// ============================================================================
+
+// The service worker fetches, throttles and caches; the panel only waits
+// for the position to settle before asking.
+const EXPLORER_DEBOUNCE = 300;
+const EXPLORER_DB_LABELS = { masters: 'Masters', lichess: 'Lichess' };
+
+let explorerDb = 'masters';
+let explorerFen = null;
+let explorerSeq = 0;
+let explorerTimer = null;
+
+function showExplorerMoves(fen) {
+  const seq = ++explorerSeq;
+  explorerFen = fen;
+  clearTimeout(explorerTimer);
+  if (!fen) {
+    explorerMoves.style.display = 'none';
+    return;
+  }
+
+  explorerTimer = setTimeout(async () => {
+    let result;
+    try {
+      result = await chrome.runtime.sendMessage({ type: 'GET_EXPLORER', fen, db: explorerDb, pgn: analysisSourcePgn });
+    } catch (error) {
+      result = { error: error.message };
+    }
+    if (seq !== explorerSeq) return;
+    renderExplorerMoves(fen, result || { error: 'No response' });
+  }, EXPLORER_DEBOUNCE);
+}
+
+function explorerBar(white, draws, black) {
+  const total = white + draws + black;
+  if (!total) return '<span class="explorer-bar"></span>';
+  const part = (count, cls) => {
+    const pct = Math.round(100 * count / total);
+    return pct ? `<span class="${cls}" style="width: ${pct}%;">${pct >= 15 ? pct + '%' : ''}</span>` : '';
+  };
+  return `<span class="explorer-bar" title="White ${white} · Draw ${draws} · Black ${black}">${part(white, 'bar-white')}${part(draws, 'bar-draw')}${part(black, 'bar-black')}</span>`;
+}
+
+function renderExplorerMoves(fen, result) {
+  const tabs = Object.entries(EXPLORER_DB_LABELS).map(([db, label]) =>
+    `<button data-db="${db}" class="${db === explorerDb ? 'active' : ''}">${label}</button>`
+  ).join('');
+  const header = `<div class="explorer-header">
+      <div class="engine-lines-title">Opening explorer</div>
+      <div class="explorer-db">${tabs}</div>
+    </div>`;
+
+  if (result.error) {
+    explorerMoves.innerHTML = `${header}<div class="book-status">${escapeHtml(result.error)}</div>`;
+    explorerMoves.style.display = 'block';
+    return;
+  }
+
+  const total = result.white + result.draws + result.black;
+  const status = total
+    ? `${total.toLocaleString()} game${total === 1 ? '' : 's'}${result.opening ? ` · ${escapeHtml(result.opening.eco)} ${escapeHtml(result.opening.name)}` : ''}`
+    : 'No games from this position';
+  const engineMove = currentAnalysis?.fenNormalized === fen ? currentMoves?.[0]?.move : null;
+  const rows = result.moves.map(move => `<div class="candidate-row book-row explorer-row${move.uci === engineMove ? ' engine-match' : ''}" data-uci="${move.uci}">
+      <span class="candidate-move">${escapeHtml(move.san)}</span>
+      <span class="explorer-games">${move.games.toLocaleString()}</span>
+      ${explorerBar(move.white, move.draws, move.black)}
+      <span class="explorer-rating" title="Average rating">${move.averageRating || ''}</span>
+    </div>`).join('');
+  explorerMoves.innerHTML = `${header}
+    <div class="book-status">${status}</div>
+    <div class="candidate-list">${rows}</div>`;
+  explorerMoves.style.display = 'block';
+}
+
+// Database tabs switch (and remember) the database; a move row plays the
+// move in the move tree, like a book move
+async function handleExplorerClick(e) {
+  const tab = e.target.closest('[data-db]');
+  if (tab) {
+    if (tab.dataset.db === explorerDb) return;
+    explorerDb = tab.dataset.db;
+    showExplorerMoves(explorerFen);
+    try {
+      await chrome.storage.sync.set({ explorerDb });
+    } catch (error) {
+      console.warn('[Panel] Failed to save the explorer database:', error);
+    }
+    return;
+  }
+  const uci = e.target.closest('.explorer-row')?.dataset.uci;
+  if (!uci || activeBoard !== 'tree' || treeNode?.fen !== explorerFen) return;
+  playTreeMove(uci);
+}
+
+// ============================================================================
+// DISPLAY RESULTS
+// ============================================================================
+
+function displayResults(data) {
+  console.log('[Panel] Displaying results:', data);
+
+  popoverPosition.style.display = 'block';
+  movesSection.style.display = 'block';
+  boardSection.style.display = 'block';
+
+  const sourceLabels = {
+    'dom-chesscom': 'DOM (chess.com)',
+    'dom-react-chessboard': 'DOM (react-chessboard)',
+    'dom-img-pieces': 'DOM (image-based)',
+    'dom-generic': 'DOM (detected)',
+    'dom': 'DOM read',
+    'fen': 'FEN'
+  };
+  const sourceLabel = sourceLabels[data.source] || 'Vision AI';
+  const engineLabel = ENGINE_BACKENDS[data.engine];
+  updateStatus(`Analysis complete! (${sourceLabel}${engineLabel ? ` \u00b7 ${engineLabel}` : ''})`, 'success');
+
+  showAnalysis(data);
+
+  // Update API cost display
+  const moveCost = data.openrouterCost || 0;
+  sessionTotalCost += moveCost;
+  const costDisplay = document.getElementById('cost-display');
+  const costMove = document.getElementById('cost-move');
+  const costSession = document.getElementById('cost-session');
+  if (costDisplay && costMove && costSession) {
+    costMove.textContent = `$${moveCost.toFixed(4)}`;
+    costSession.textContent = `$${sessionTotalCost.toFixed(4)}`;
+    costDisplay.style.display = 'block';
+  }
+
+  // Every fresh analysis becomes the root of a new move tree
+  startMoveTree(data);
+  addToLibrary(data);
+}
+
+// FEN, turn and FEN input for a result (or a bare move tree position)
+function showPosition(data) {
+  if (data.fen) {
+    fenDisplay.textContent = data.fen;
+    if (turnDisplay) {
+      turnDisplay.textContent = data.turn === 'w' ? 'White' : 'Black';
+      turnDisplay.className = data.turn === 'w' ? 'turn-white' : 'turn-black';
+    }
+    currentFen = data.fen;
+    if (fenInput) {
+      fenInput.value = data.fenNormalized || `${data.fen} ${data.turn || 'w'} - - 0 1`;
+    }
+    showBookMoves(data.fenNormalized || `${data.fen} ${data.turn || 'w'} - - 0 1`);
+    showExplorerMoves(data.fenNormalized || `${data.fen} ${data.turn || 'w'} - - 0 1`);
+  } else {
+    fenDisplay.textContent = 'Could not detect position';
+    if (turnDisplay) turnDisplay.textContent = '-';
+    currentFen = null;
+    if (fenInput) fenInput.value = '';
+    showBookMoves(null);
+    showExplorerMoves(null);
+  }
+}
+
+// Position, engine moves and board for one analysis result - a fresh one
+// or the evaluation stored on a move tree node
+function showAnalysis(data) {
+  showPosition(data);
+
+  // Endgames are looked up whatever the engine answered
+  const status = getPositionStatus(data.fenNormalized);
+  const gameOver = status?.checkmate || status?.stalemate;
+  showTablebase(gameOver ? null : data.fenNormalized);
+
+  // Engine ranking, best move on the board
+  if (data.moves && data.moves.length > 0) {
+    currentMoves = data.moves;
+    currentAnalysis = data;
+    displayMoves(data.moves, data.fenNormalized || data.fen);
+    renderChessBoard(data.fen, data.moves[0]);
+  } else {
+    currentMoves = null;
+    currentAnalysis = null;
+    // No moves - ask the rules whether the game is actually over
+    const userColor = boardFlipped ? 'b' : 'w';
+    if (status?.checkmate) {
+      if (status.turn !== userColor) {
+        movesList.innerHTML = '<div class="game-over victory">Victory!</div>';
+      } else {
+        movesList.innerHTML = '<div class="game-over defeat">You Fucking Lost!</div>';
+      }
+    } else if (status?.stalemate) {
+      movesList.innerHTML = '<div class="game-over draw">Stalemate</div>';
+    } else {
+      // Replaced by the tablebase result if one arrives for this position
+      movesList.innerHTML = `<div class="placeholder" data-tablebase-fen="${escapeHtml(data.fenNormalized || '')}">No moves found</div>`;
+    }
+    renderChessBoard(data.fen, null);
+  }
+}
+
+// ============================================================================
+// PGN EXPORT
+// ============================================================================
+
+// Analysed position as a PGN: best line as the main line, the other engine
+// lines as variations, each line's evaluation as a {[%eval]} comment.
+function buildAnalysisPgn(data) {
+  const fen = data.fenNormalized || `${data.fen} ${data.turn || 'w'} - - 0 1`;
+  const root = ChessPgn.createRoot(fen);
+
+  for (const move of data.moves) {
+    const line = move.continuationUci?.length ? move.continuationUci : [move.move];
+    let node = root;
+    let first = null;
+    for (const uci of line) {
+      const next = ChessPgn.addUciMove(node, uci);
+      if (!next) break;
+      node = next;
+      first = first || next;
+    }
+    const evalText = ChessPgn.evalComment(move.evaluation, move.depth);
+    if (first && evalText && !first.comments.length) {
+      first.comments.push(evalText);
+    }
+  }
+
+  return ChessPgn.writePgn({
+    headers: {
+      Event: 'Chess Study analysis',
+      Date: ChessPgn.pgnDate(),
+      Annotator: 'Stockfish'
+    },
+    startFen: fen,
+    root,
+    result: '*'
+  });
+}
+
+async function exportAnalysisPgn() {
+  if (!currentAnalysis?.moves?.length) {
+    updateStatus('Nothing to export - analyze a position first.', 'error');
+    return;
+  }
+
+  let pgn;
+  try {
+    pgn = buildAnalysisPgn(currentAnalysis);
+  } catch (error) {
+    updateStatus('PGN export failed: ' + error.message, 'error');
+    addError('PGN Export', error.message);
+    return;
+  }
+
+  downloadTextFile(pgn, `chess-study-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.pgn`, 'application/x-chess-pgn');
+
+  try {
+    await navigator.clipboard.writeText(pgn);
+    updateStatus('PGN downloaded and copied to clipboard', 'success');
+  } catch {
+    updateStatus('PGN downloaded', 'success');
+  }
+}
+
+// Game status (check / mate / stalemate) for a full FEN, or null if unparseable
+function getPositionStatus(fen) {
+  if (!fen) return null;
+  try {
+    return ChessRules.getGameStatus(fen);
+  } catch (e) {
+    console.warn('[Panel] Could not read position status:', e.message);
+    return null;
+  }
+}
+
+// Unicode pieces
+const PIECE_ICONS = {
+  'K': '♔', 'Q': '♕', 'R': '♖', 'B': '♗', 'N': '♘', 'P': '♙',
+  'k': '♚', 'q': '♛', 'r': '♜', 'b': '♝', 'n': '♞', 'p': '♟'
+};
+
+const PIECE_NAMES = {
+  'K': 'King', 'Q': 'Queen', 'R': 'Rook', 'B': 'Bishop', 'N': 'Knight', 'P': 'Pawn',
+  'k': 'King', 'q': 'Queen', 'r': 'Rook', 'b': 'Bishop', 'n': 'Knight', 'p': 'Pawn'
+};
+
+// Get piece at square from FEN
+function getPieceAtSquare(fen, square) {
+  if (!fen || !square) return null;
+
+  const file = square.charCodeAt(0) - 97; // a=0, h=7
+  const rank = 8 - parseInt(square[1]);   // 8=0, 1=7
+
+  const boardPart = fen.split(' ')[0];
+  const ranks = boardPart.split('/');
+
+  if (rank < 0 || rank > 7) return null;
+
+  const rankStr = ranks[rank];
+  let col = 0;
+
+  for (const char of rankStr) {
+    if ('12345678'.includes(char)) {
+      col += parseInt(char);
+    } else {
+      if (col === file) {
+        return char;
+      }
+      col++;
+    }
+    if (col > file) break;
+  }
+
+  return null;
+}
+
+function displayMoves(moves, fen) {
+  // A tablebase result is exact: its best move and outcomes replace the
+  // engine's scores. Otherwise the engine's best move, always - no sampling
+  const tablebase = tablebaseResult?.fen === fen ? tablebaseResult : null;
+  moves = moves || [];
+  if (moves.length === 0 && !tablebase?.moves.length) {
+    movesList.innerHTML = '<div class="placeholder">No moves found</div>';
+    return;
+  }
+
+  const move = tablebase?.moves.length ? tablebaseMove(tablebase.moves[0]) : moves[0];
+  const fromSquare = move.from || (move.move ? move.move.substring(0, 2) : '');
+  const toSquare = move.to || (move.move ? move.move.substring(2, 4) : '');
+
+  const piece = getPieceAtSquare(fen, fromSquare);
+  const pieceIcon = piece ? PIECE_ICONS[piece] : '';
+  const pieceName = piece ? PIECE_NAMES[piece] : '';
+  const isWhitePiece = piece && piece === piece.toUpperCase();
+
+  // Principal variation of the best move, numbered like a book
+  let pvHtml = '';
+  if (!tablebase && move.continuation && move.continuation.length > 1) {
+    pvHtml = `<div class="engine-pv">${escapeHtml(ChessRules.formatSanLine(fen, move.continuation))}</div>`;
+  }
+
+  // Every candidate in engine order, with its quality label
+  let rankingHtml = '';
+  if (tablebase) {
+    rankingHtml = renderTablebase(tablebase, fen);
+  } else if (moves.length >= 2) {
+    const rows = moves.map((m, index) => {
+      const mFrom = m.from || (m.move ? m.move.substring(0, 2) : '');
+      const mPiece = getPieceAtSquare(fen, mFrom);
+      const mIcon = mPiece ? PIECE_ICONS[mPiece] : '';
+      const mLine = m.continuation && m.continuation.length ? ChessRules.formatSanLine(fen, m.continuation) : '';
+      const quality = m.quality || (index === 0 ? 'best' : null);
+      return `<div class="candidate-row"${mLine ? ` title="${escapeHtml(mLine)}"` : ''}>
+        <span class="candidate-rank">${m.rank || index + 1}</span>
+        <span class="candidate-move"><span class="chip-piece">${mIcon}</span>${getMoveSan(m)}</span>
+        <span class="candidate-eval">${formatEvaluation(m.evaluation)}</span>
+        ${quality ? `<span class="quality-label quality-${quality}">${MOVE_QUALITY_LABELS[quality]}</span>` : ''}
+      </div>`;
+    }).join('');
+
+    rankingHtml = `<div class="engine-lines">
+      <div class="engine-lines-title">Engine ranking</div>
+      <div class="candidate-list">${rows}</div>
+    </div>`;
+  }
+
+  movesList.innerHTML = `
+    <div class="best-move-container">
+      <div class="best-move-content">
+        <span class="best-move-piece ${isWhitePiece ? 'white-piece' : 'black-piece'}">${pieceIcon}</span>
+        <div class="best-move-notation">
+          <span class="best-move-san">${getMoveSan(move)}</span>
+          <span class="best-move-from">${fromSquare}</span>
+          <span class="best-move-arrow">\u2192</span>
+          <span class="best-move-to">${toSquare}</span>
+        </div>
+      </div>
+      ${pieceName ? `<span class="best-move-name">${pieceName}</span>` : ''}
+    </div>
+    ${pvHtml}
+    ${rankingHtml}
+    ${teachingView.enabled ? renderTeachingView(moves) : ''}
+  `;
+}
+
+// Labels for the `quality` the service worker puts on each engine move
+const MOVE_QUALITY_LABELS = {
+  best: 'Best',
+  good: 'Good',
+  inaccuracy: 'Inaccuracy',
+  mistake: 'Mistake',
+  blunder: 'Blunder'
+};
+
+// Teaching view: a rough share of players at the chosen rating who would pick
+// each candidate, from how much win chance it gives up (weaker players notice
+// small losses less). Shown as an estimate, never as the move to play.
+function renderTeachingView(moves) {
+  if (moves.length < 2) return '';
+
+  const rating = teachingView.rating;
+  const tau = Math.max(1.5, 12 - rating / 250);
+  const weights = moves.map(m => Math.exp(-(m.winChanceLoss || 0) / tau));
+  const sum = weights.reduce((a, b) => a + b, 0);
+
+  const rows = moves.map((m, index) => {
+    const share = Math.round((weights[index] / sum) * 100);
+    return `<div class="teaching-row">
+      <span class="teaching-move">${getMoveSan(m)}</span>
+      <span class="teaching-bar"><span style="width: ${share}%"></span></span>
+      <span class="teaching-share">${share}%</span>
+    </div>`;
+  }).join('');
+
+  return `<div class="teaching-view">
+    <div class="engine-lines-title">Teaching view \u00b7 likely choices at ${rating}</div>
+    <div class="teaching-note">An estimate of how often a ${rating}-rated player picks each move - not the engine's advice.</div>
+    ${rows}
+  </div>`;
+}
+
+// "+0.3" / "-1.2" / "M3" for display; empty when there is no evaluation
+function formatEvaluation(evaluation) {
+  if (evaluation === undefined || evaluation === null) return '';
+  if (typeof evaluation === 'string' && evaluation.startsWith('M')) return evaluation;
+  const ev = parseFloat(evaluation);
+  if (isNaN(ev)) return '';
+  return (ev >= 0 ? '+' : '') + ev.toFixed(1);
+}
+
+// SAN from the service worker, falling back to from→to for older results
+function getMoveSan(move) {
+  if (move.san && move.san !== move.move) return move.san;
+  const from = move.from || (move.move ? move.move.substring(0, 2) : '');
+  const to = move.to || (move.move ? move.move.substring(2, 4) : '');
+  return `${from}\u2192${to}`;
+}
+
+// Render a mini board with arrow showing the move
+function renderMiniBoard(container, fen, move) {
+  if (!fen) return;
+
+  const MINI_PIECES = {
+    'K': '♔', 'Q': '♕', 'R': '♖', 'B': '♗', 'N': '♘', 'P': '♙',
+    'k': '♚', 'q': '♛', 'r': '♜', 'b': '♝', 'n': '♞', 'p': '♟'
+  };
+
+  // Parse move to get from/to squares
+  let fromSquare = null;
+  let toSquare = null;
+
+  const moveStr = move.move || '';
+  if (moveStr.length >= 4 && /^[a-h][1-8][a-h][1-8]/.test(moveStr)) {
+    fromSquare = moveStr.substring(0, 2);
+    toSquare = moveStr.substring(2, 4);
+  }
+
+  // Parse FEN
+  const boardPart = fen.split(' ')[0];
+  const ranks = boardPart.split('/');
+
+  // Build mini board HTML
+  let boardHtml = '<div class="mini-board">';
+
+  for (let rankIndex = 0; rankIndex < 8; rankIndex++) {
+    const rank = ranks[rankIndex];
+    const rankNum = 8 - rankIndex;
+    let fileIndex = 0;
 
     for (const char of rank) {
       if ('12345678'.includes(char)) {
@@ -1355,16 +4289,7 @@ async function downloadDebugLogs() {
         '\n' + '-'.repeat(80);
     }).join('\n\n');
 
-    // Create download
-    const blob = new Blob([logText], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `chess-study-debug-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadTextFile(logText, `chess-study-debug-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.txt`);
 
   } catch (error) {
     alert('Failed to download logs: ' + error.message);
@@ -1374,6 +4299,19 @@ async function downloadDebugLogs() {
   }
 }
 
+// Save a string as a file via a temporary download link
+function downloadTextFile(text, filename, type = 'text/plain') {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
 async function clearDebugLogs() {
   if (!confirm('Clear all debug logs?')) return;
 